@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+// aimessage — command-line client for a running aiMessage server.
+//
+// Talks to the same REST API and terminal stream the web UI uses, so the
+// server must be running. Configure with AIMESSAGE_URL (default
+// http://localhost:8080) and AIMESSAGE_PASSPHRASE (default: the one the
+// server stored in ~/.config/aimessage/auth.json).
+
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const WebSocket = require('ws');
+
+// ── Config ──────────────────────────────────────────────────────────────────
+
+const HOME = process.env.HOME || '';
+const SERVER_URL = (process.env.AIMESSAGE_URL || `http://localhost:${process.env.PORT || 8080}`).replace(/\/+$/, '');
+const AUTH_FILE = path.join(HOME, '.config', 'aimessage', 'auth.json');
+const DETACH_KEY = '\x1d'; // Ctrl+] ends `attach`, like telnet
+const NAME_WIDTH = 50; // Truncate session names in tables past this
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const USAGE = `Usage: aimessage <command> [options]
+
+Sessions
+  ls [--archived] [--project <name>] [--tag <tag>]...
+                                            List sessions with their status
+  new [--project <name>] [--dir <path>] [--name <name>] [--isolate] [prompt]
+                                            Start a session, optionally with a first prompt
+  attach <id>                               Open the session's terminal (Ctrl+] to detach)
+  send <id> <text> [--wait] [--no-enter]    Type text into a session and press Enter
+  screen <id>                               Print what's on the session's screen
+  archive <id> | unarchive <id>             Hide or restore a session
+  kill <id>                                 Stop a session
+  tag <id> [tag...]                         Set a session's tags (none clears them)
+
+Projects
+  projects                                  List projects
+  project add <name> [--dir <path>] [--color <hex>]
+  project rename <name> <new-name>
+  project rm <name>
+
+Tags
+  tags                                      List tags
+
+Options
+  --json                                    Print raw JSON instead of a table
+  -h, --help                                Show this help
+
+Session ids may be shortened to any unique prefix.`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  archived: { type: 'boolean' },
+  project: { type: 'string', short: 'p' },
+  tag: { type: 'string', short: 't', multiple: true },
+  dir: { type: 'string', short: 'd' },
+  name: { type: 'string', short: 'n' },
+  color: { type: 'string' },
+  isolate: { type: 'boolean' },
+  wait: { type: 'boolean', short: 'w' },
+  'no-enter': { type: 'boolean' },
+};
+
+// Raised for mistakes the user can fix; printed without a stack trace
+class CliError extends Error {}
+
+// ── API client ──────────────────────────────────────────────────────────────
+
+function passphrase() {
+  if (process.env.AIMESSAGE_PASSPHRASE) return process.env.AIMESSAGE_PASSPHRASE;
+  try {
+    const stored = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8'));
+    if (stored.passphrase) return stored.passphrase;
+  } catch {
+    // Fall through to the error below
+  }
+  throw new CliError(`Set AIMESSAGE_PASSPHRASE (no passphrase found in ${AUTH_FILE})`);
+}
+
+function authHeaders() {
+  return { Authorization: `Bearer ${passphrase()}` };
+}
+
+async function api(method, route, body) {
+  const headers = authHeaders();
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  let res;
+  try {
+    res = await fetch(SERVER_URL + route, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+  } catch (err) {
+    throw new CliError(`Can't reach aiMessage at ${SERVER_URL} (${err.cause ? err.cause.code || err.cause.message : err.message})`);
+  }
+
+  const type = res.headers.get('content-type') || '';
+  const data = type.includes('application/json') ? await res.json() : await res.text();
+  if (!res.ok) {
+    throw new CliError((data && data.error) || `${method} ${route} failed: ${res.status}`);
+  }
+  return data;
+}
+
+// Expand a unique id prefix to the full session id. Full ids pass straight
+// through: a brand-new session isn't listed until Claude writes its .jsonl.
+async function resolveSessionId(prefix) {
+  if (!prefix) throw new CliError('Session id required');
+  if (UUID_RE.test(prefix)) return prefix;
+  const sessions = await api('GET', '/sessions?archived=true');
+  const exact = sessions.find(s => s.id === prefix);
+  if (exact) return exact.id;
+
+  const matches = sessions.filter(s => s.id.startsWith(prefix));
+  if (matches.length === 0) throw new CliError(`No session matching ${prefix}`);
+  if (matches.length > 1) {
+    throw new CliError(`${prefix} is ambiguous: ${matches.map(s => s.id.slice(0, 8)).join(', ')}`);
+  }
+  return matches[0].id;
+}
+
+// ── Output ──────────────────────────────────────────────────────────────────
+
+function printJson(data) {
+  process.stdout.write(JSON.stringify(data, null, 2) + '\n');
+}
+
+// Left-aligned columns sized to their widest cell
+function printTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(headers));
+  for (const row of rows) console.log(line(row));
+}
+
+function truncate(text, max) {
+  const str = String(text || '').replace(/\s+/g, ' ');
+  return str.length > max ? str.slice(0, max - 1) + '…' : str;
+}
+
+function timeAgo(iso) {
+  const ms = Date.now() - new Date(iso).getTime();
+  if (!Number.isFinite(ms)) return '';
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
+function tildify(dir) {
+  if (!dir) return '';
+  return HOME && dir.startsWith(HOME) ? '~' + dir.slice(HOME.length) : dir;
+}
+
+// ── Session commands ────────────────────────────────────────────────────────
+
+async function cmdList(args, opts) {
+  const query = new URLSearchParams();
+  if (opts.archived) query.set('archived', 'true');
+  for (const tag of opts.tag || []) query.append('tag', tag);
+  let sessions = await api('GET', `/sessions${query.toString() ? '?' + query : ''}`);
+  if (opts.project) sessions = sessions.filter(s => s.group === opts.project);
+  if (opts.json) return printJson(sessions);
+
+  if (sessions.length === 0) return console.log('No sessions');
+  printTable(
+    ['ID', 'STATUS', 'PROJECT', 'TAGS', 'NAME', 'ACTIVE', 'DIR'],
+    sessions.map(s => [
+      s.id.slice(0, 8),
+      s.status + (s.archived ? ' (archived)' : ''),
+      s.group || '-',
+      (s.tags || []).join(',') || '-',
+      truncate(s.name, NAME_WIDTH),
+      timeAgo(s.lastActivity),
+      tildify(s.workingDir),
+    ]),
+  );
+}
+
+async function cmdNew(args, opts) {
+  let workingDir = opts.dir ? path.resolve(opts.dir) : undefined;
+  if (!workingDir && opts.project) {
+    const projects = await api('GET', '/projects');
+    if (!projects[opts.project]) throw new CliError(`No project named ${opts.project}`);
+    workingDir = projects[opts.project].defaultDir;
+  }
+
+  const session = await api('POST', '/sessions', {
+    name: opts.name,
+    group: opts.project,
+    workingDir: workingDir || process.cwd(),
+    message: args.join(' ') || undefined,
+    isolate: opts.isolate || undefined,
+  });
+  if (opts.json) return printJson(session);
+  console.log(session.id);
+}
+
+async function cmdSend(args, opts) {
+  const id = await resolveSessionId(args[0]);
+  const text = args.slice(1).join(' ');
+  if (!text) throw new CliError('Usage: aimessage send <id> <text>');
+
+  const result = await api('POST', `/sessions/${id}/input`, {
+    text,
+    keys: opts['no-enter'] ? [] : ['enter'],
+    wait: opts.wait || undefined,
+  });
+  if (opts.json) return printJson(result);
+  if (opts.wait) {
+    console.log(result.screen);
+    if (result.timedOut) console.error('Timed out waiting for the session to settle');
+  }
+}
+
+async function cmdScreen(args, opts) {
+  const id = await resolveSessionId(args[0]);
+  const screen = await api('GET', `/sessions/${id}/screen`);
+  if (opts.json) return printJson({ id, screen: screen.replace(/\n$/, '') });
+  process.stdout.write(screen);
+}
+
+async function cmdArchive(args, opts, archived) {
+  const id = await resolveSessionId(args[0]);
+  const result = await api('PATCH', `/sessions/${id}/meta`, { archived });
+  if (opts.json) return printJson(result);
+  console.log(`${archived ? 'Archived' : 'Unarchived'} ${id.slice(0, 8)}`);
+}
+
+async function cmdKill(args, opts) {
+  const id = await resolveSessionId(args[0]);
+  const result = await api('DELETE', `/sessions/${id}`);
+  if (opts.json) return printJson(result);
+  console.log(`Stopped ${id.slice(0, 8)}`);
+}
+
+async function cmdTag(args, opts) {
+  const id = await resolveSessionId(args[0]);
+  const tags = args.slice(1);
+  const result = await api('PATCH', `/sessions/${id}/meta`, { tags });
+  if (opts.json) return printJson(result);
+  console.log(tags.length ? `Tagged ${id.slice(0, 8)}: ${tags.join(', ')}` : `Cleared tags on ${id.slice(0, 8)}`);
+}
+
+// Raw-mode terminal client of /sessions/:id/stream, the same one xterm.js uses
+async function cmdAttach(args) {
+  const id = await resolveSessionId(args[0]);
+  if (!process.stdin.isTTY) throw new CliError('attach needs an interactive terminal');
+
+  const ws = new WebSocket(SERVER_URL.replace(/^http/, 'ws') + `/sessions/${id}/stream`, { headers: authHeaders() });
+  // The server types a resize with no size into the pty as raw input
+  const sendSize = () => {
+    if (ws.readyState === WebSocket.OPEN && process.stdout.columns && process.stdout.rows) {
+      ws.send(JSON.stringify({ type: 'resize', cols: process.stdout.columns, rows: process.stdout.rows }));
+    }
+  };
+  const onInput = (data) => {
+    if (data.includes(DETACH_KEY)) return ws.close();
+    if (ws.readyState === WebSocket.OPEN) ws.send(data);
+  };
+
+  await new Promise((resolve, reject) => {
+    ws.on('open', () => {
+      process.stderr.write(`Attached to ${id.slice(0, 8)}. Press Ctrl+] to detach.\r\n`);
+      process.stdin.setRawMode(true);
+      process.stdin.resume();
+      process.stdin.on('data', onInput);
+      process.stdout.on('resize', sendSize);
+      sendSize();
+    });
+    ws.on('message', data => process.stdout.write(data));
+    ws.on('unexpected-response', (req, res) => {
+      reject(new CliError(res.statusCode === 404 ? `No session ${id}` : `Stream refused: ${res.statusCode}`));
+    });
+    ws.on('error', err => reject(new CliError(`Stream error: ${err.message}`)));
+    ws.on('close', resolve);
+  }).finally(() => {
+    process.stdin.off('data', onInput);
+    process.stdout.off('resize', sendSize);
+    if (process.stdin.isRaw) process.stdin.setRawMode(false);
+    process.stdin.pause();
+  });
+  process.stderr.write('\r\nDetached\n');
+}
+
+// ── Project commands ────────────────────────────────────────────────────────
+
+async function cmdProjects(args, opts) {
+  const projects = await api('GET', '/projects');
+  if (opts.json) return printJson(projects);
+
+  const names = Object.keys(projects).sort((a, b) => a.localeCompare(b));
+  if (names.length === 0) return console.log('No projects');
+  const sessions = await api('GET', '/sessions');
+  printTable(
+    ['NAME', 'SESSIONS', 'DIR'],
+    names.map(name => [
+      name + (projects[name].muted ? ' (muted)' : ''),
+      sessions.filter(s => s.group === name).length,
+      tildify(projects[name].defaultDir),
+    ]),
+  );
+}
+
+async function cmdProject(args, opts) {
+  const [action, name, newName] = args;
+  if (!name) throw new CliError('Usage: aimessage project add|rename|rm <name>');
+  const route = `/projects/${encodeURIComponent(name)}`;
+
+  let result;
+  if (action === 'add') {
+    result = await api('POST', '/projects', {
+      name,
+      defaultDir: path.resolve(opts.dir || '.'),
+      color: opts.color,
+    });
+  } else if (action === 'rename') {
+    if (!newName) throw new CliError('Usage: aimessage project rename <name> <new-name>');
+    result = await api('PATCH', route, { name: newName });
+  } else if (action === 'rm') {
+    result = await api('DELETE', route);
+  } else {
+    throw new CliError(`Unknown project command: ${action}`);
+  }
+
+  if (opts.json) return printJson(result);
+  const done = { add: 'Created', rename: 'Renamed', rm: 'Deleted' }[action];
+  console.log(`${done} ${name}${newName && action === 'rename' ? ` → ${newName}` : ''}`);
+}
+
+// ── Tag commands ────────────────────────────────────────────────────────────
+
+async function cmdTags(args, opts) {
+  const tags = await api('GET', '/tags');
+  if (opts.json) return printJson(tags);
+
+  const names = Object.keys(tags).sort((a, b) => a.localeCompare(b));
+  if (names.length === 0) return console.log('No tags');
+  const sessions = await api('GET', '/sessions');
+  printTable(
+    ['TAG', 'SESSIONS', 'COLOR'],
+    names.map(name => [name, sessions.filter(s => (s.tags || []).includes(name)).length, tags[name].color]),
+  );
+}
+
+// ── Main ────────────────────────────────────────────────────────────────────
+
+const COMMANDS = {
+  ls: cmdList,
+  new: cmdNew,
+  attach: cmdAttach,
+  send: cmdSend,
+  screen: cmdScreen,
+  archive: (args, opts) => cmdArchive(args, opts, true),
+  unarchive: (args, opts) => cmdArchive(args, opts, false),
+  kill: cmdKill,
+  tag: cmdTag,
+  tags: cmdTags,
+  projects: cmdProjects,
+  project: cmdProject,
+};
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new CliError(err.message);
+  }
+  const [command, ...args] = parsed.positionals;
+
+  if (!command || parsed.values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const run = COMMANDS[command];
+  if (!run) throw new CliError(`Unknown command: ${command}\n\n${USAGE}`);
+  await run(args, parsed.values);
+}
+
+main(process.argv.slice(2)).catch((err) => {
+  console.error(err instanceof CliError ? err.message : err);
+  process.exitCode = 1;
+});
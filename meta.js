@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── meta.json storage ────────────────────────────────────────────────────────
+//
+// meta.json holds what aiMessage knows on top of Claude's own transcripts:
+// projects, per-session names and flags, webhooks, tags. Writes are atomic,
+// the file is backed up at most hourly, a file that stops parsing is moved
+// aside and replaced by the newest good backup, and older formats are
+// migrated forward on load.
+
+const META_VERSION = 2; // Bump with a new entry in META_MIGRATIONS
+const META_BACKUP_INTERVAL_MS = 60 * 60 * 1000; // At most one meta.json backup an hour
+const META_BACKUP_COUNT = 24;
+
+// Write via a temp file and rename, so a crash mid-write leaves either the
+// old file or the new one, never half of each
+function writeFileAtomic(file, data, mode = 0o666) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tmp, 'w', mode);
+    try {
+      fs.writeFileSync(fd, data, 'utf-8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+function emptyMeta() {
+  return { version: META_VERSION, projects: {}, sessions: {} };
+}
+
+// Upgrades keyed by the version they produce; each takes the previous shape
+const META_MIGRATIONS = {
+  // v2: projects and sessions always present; drop session entries left empty
+  2: (meta) => {
+    meta.projects = meta.projects || {};
+    meta.sessions = meta.sessions || {};
+    for (const [id, sessionMeta] of Object.entries(meta.sessions)) {
+      if (!sessionMeta || Object.keys(sessionMeta).length === 0) delete meta.sessions[id];
+    }
+  },
+};
+
+class MetaStore {
+  constructor(file, backupDir) {
+    this.file = file;
+    this.backupDir = backupDir;
+    this.unreadable = false; // Set while the file exists but can't be read, so saving doesn't replace it
+    this.newerWarned = false;
+    this.lastBackup = 0;
+    this.snapshot = null; // See cached()
+  }
+
+  listBackups() {
+    try {
+      return fs.readdirSync(this.backupDir).filter(f => /^meta-.+\.json$/.test(f)).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  // Copy the current file into the backup dir (at most hourly unless forced),
+  // keeping the newest META_BACKUP_COUNT
+  backup(force) {
+    const now = Date.now();
+    if (!force && now - this.lastBackup < META_BACKUP_INTERVAL_MS) return;
+    if (!fs.existsSync(this.file)) return;
+    try {
+      fs.mkdirSync(this.backupDir, { recursive: true });
+      const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+      fs.copyFileSync(this.file, path.join(this.backupDir, `meta-${stamp}.json`));
+      this.lastBackup = now;
+      for (const old of this.listBackups().slice(0, -META_BACKUP_COUNT)) {
+        fs.unlinkSync(path.join(this.backupDir, old));
+      }
+    } catch (err) {
+      console.error('Failed to back up meta.json:', err.message);
+    }
+  }
+
+  // The file didn't parse: move it aside for inspection and fall back to the
+  // newest backup that does, instead of silently starting over
+  recover(reason) {
+    const quarantined = `${this.file}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(this.file, quarantined);
+    } catch (err) {
+      console.error('Failed to quarantine corrupt meta.json:', err.message);
+      this.unreadable = true;
+      return emptyMeta();
+    }
+    console.error(`meta.json is corrupt (${reason}); moved it to ${quarantined}`);
+
+    for (const file of this.listBackups().reverse()) {
+      try {
+        const raw = fs.readFileSync(path.join(this.backupDir, file), 'utf-8');
+        const meta = JSON.parse(raw);
+        writeFileAtomic(this.file, raw);
+        console.error(`Restored meta.json from backups/${file}`);
+        return meta;
+      } catch {
+        // Try the next older backup
+      }
+    }
+    console.error('No usable meta.json backup; starting with empty metadata');
+    return emptyMeta();
+  }
+
+  // Bring meta up to META_VERSION, backing up the old file first
+  migrate(meta) {
+    const from = meta.version || 1;
+    if (from > META_VERSION) {
+      if (!this.newerWarned) {
+        console.error(`meta.json is version ${from}, newer than this server understands (${META_VERSION})`);
+        this.newerWarned = true;
+      }
+      return meta;
+    }
+    if (from === META_VERSION) return meta;
+
+    this.backup(true);
+    for (let version = from + 1; version <= META_VERSION; version++) {
+      META_MIGRATIONS[version](meta);
+      meta.version = version;
+    }
+    this.save(meta);
+    console.log(`Migrated meta.json from version ${from} to ${META_VERSION}`);
+    return meta;
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, 'utf-8');
+    } catch (err) {
+      this.unreadable = err.code !== 'ENOENT';
+      if (this.unreadable) console.error('Failed to load meta.json:', err.message);
+      return emptyMeta();
+    }
+    this.unreadable = false;
+
+    let meta;
+    try {
+      meta = JSON.parse(raw);
+    } catch (err) {
+      return this.migrate(this.recover(err.message));
+    }
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+      return this.migrate(this.recover('not a JSON object'));
+    }
+    return this.migrate(meta);
+  }
+
+  save(meta) {
+    this.snapshot = null;
+    if (this.unreadable) {
+      console.error('Not saving meta.json: the existing file could not be read');
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.backup(false);
+    try {
+      writeFileAtomic(this.file, JSON.stringify(meta, null, 2));
+    } catch (err) {
+      console.error('Failed to save meta.json:', err.message);
+    }
+  }
+
+  // Load, change and save in one step. `mutate` must be synchronous: with no
+  // await between the load and the save, overlapping requests can't
+  // interleave and drop each other's changes. Return false to skip the save.
+  update(mutate) {
+    const meta = this.load();
+    const result = mutate(meta);
+    if (result && typeof result.then === 'function') {
+      throw new Error('updateMeta callbacks must be synchronous');
+    }
+    if (result !== false) this.save(meta);
+    return meta;
+  }
+
+  // Read-only meta for hot paths such as status changes. Dropped on every
+  // save, so it never lags this process's own writes. Don't mutate it.
+  cached() {
+    if (!this.snapshot) this.snapshot = this.load();
+    return this.snapshot;
+  }
+}
+
+module.exports = { MetaStore, writeFileAtomic, emptyMeta, META_VERSION };
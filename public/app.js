@@ -6,20 +6,28 @@
 const state = {
   sessions: [],
   projects: {},              // project name -> project metadata
+  tags: {},                  // tag name -> { color }
+  tagFilter: new Set(),      // only show sessions carrying all of these tags
   activeView: 'home',       // 'home' | 'conversation'
   activeSessionId: null,
   activeGroup: null,
   multiMode: false,
   panels: [],                // array of session IDs in multi mode
   searchQuery: '',
+  searchResults: [],         // transcript hits from GET /search for searchQuery
+  selectMode: false,         // sidebar rows toggle selection instead of opening
+  selectedIds: new Set(),    // sessions picked in select mode
 };
 
 // Per-panel terminal state: sessionId -> { terminal, ws, fitAddon, resizeObserver, reconnectTimer, reconnectDelay }
 const panelState = new Map();
 
-// Polling interval for session list refresh
-let pollInterval = null;
-const POLL_INTERVAL_MS = 5000;
+// Server-sent events keep the session list live (see startEventStream)
+let eventSource = null;
+let eventRetryTimer = null;
+let refreshTimer = null;
+const EVENT_RETRY_MS = 5000;
+const REFRESH_DEBOUNCE_MS = 200;
 
 // Context menu state
 let contextMenuTarget = null; // session ID for context menu
@@ -46,17 +54,36 @@ const dom = {
 };
 
 // --- API ---
+// Every API call goes through apiFetch so a missing or expired login
+// lands on the login screen instead of failing silently.
+async function apiFetch(url, options) {
+  const res = await fetch(url, options);
+  if (res.status === 401) {
+    showLogin();
+    throw new Error('Not logged in');
+  }
+  return res;
+}
+
 async function apiGetSessions() {
-  const res = await fetch('/sessions');
+  const res = await apiFetch('/sessions');
   if (!res.ok) throw new Error(`GET /sessions failed: ${res.status}`);
   return res.json();
 }
 
-async function apiCreateSession(name, group, workingDir) {
-  const res = await fetch('/sessions', {
+// `message` is queued on the server and typed in once Claude is ready
+async function apiCreateSession(name, group, workingDir, launch, isolate, message) {
+  const res = await apiFetch('/sessions', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name, group: group || undefined, workingDir: workingDir || undefined }),
+    body: JSON.stringify({
+      name,
+      group: group || undefined,
+      workingDir: workingDir || undefined,
+      launch: launch || undefined,
+      isolate: isolate || undefined,
+      message: message || undefined,
+    }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({}));
@@ -65,30 +92,80 @@ async function apiCreateSession(name, group, workingDir) {
   return res.json();
 }
 
-async function apiDeleteSession(sessionId) {
-  const res = await fetch(`/sessions/${sessionId}`, { method: 'DELETE' });
-  if (!res.ok) throw new Error(`DELETE /sessions/${sessionId} failed: ${res.status}`);
+async function apiDeleteSession(sessionId, worktreeAction) {
+  const query = worktreeAction ? `?worktree=${worktreeAction}` : '';
+  const res = await apiFetch(`/sessions/${sessionId}${query}`, { method: 'DELETE' });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `DELETE /sessions/${sessionId} failed: ${res.status}`);
+  }
   return res.json();
 }
 
 async function apiUpdateSessionMeta(sessionId, updates) {
-  const res = await fetch(`/sessions/${sessionId}/meta`, {
+  const res = await apiFetch(`/sessions/${sessionId}/meta`, {
     method: 'PATCH',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(updates),
   });
-  if (!res.ok) throw new Error(`PATCH /sessions/${sessionId}/meta failed: ${res.status}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `PATCH /sessions/${sessionId}/meta failed: ${res.status}`);
+  }
   return res.json();
 }
 
 async function apiGetProjects() {
-  const res = await fetch('/projects');
+  const res = await apiFetch('/projects');
   if (!res.ok) throw new Error(`GET /projects failed: ${res.status}`);
   return res.json();
 }
 
+async function apiGetSnippets(project) {
+  const query = project ? `?project=${encodeURIComponent(project)}` : '';
+  const res = await apiFetch(`/snippets${query}`);
+  if (!res.ok) throw new Error(`GET /snippets failed: ${res.status}`);
+  return res.json();
+}
+
+async function apiSaveSnippet(id, fields) {
+  const res = await apiFetch(id ? `/snippets/${id}` : '/snippets', {
+    method: id ? 'PATCH' : 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(fields),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `Saving snippet failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiDeleteSnippet(id) {
+  const res = await apiFetch(`/snippets/${id}`, { method: 'DELETE' });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `DELETE /snippets/${id} failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// context: { sessionId } or { workingDir, project, sessionName }
+async function apiRenderSnippet(id, context) {
+  const res = await apiFetch(`/snippets/${id}/render`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(context),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `POST /snippets/${id}/render failed: ${res.status}`);
+  }
+  return res.json();
+}
+
 async function apiCreateProject(name, color, defaultDir) {
-  const res = await fetch('/projects', {
+  const res = await apiFetch('/projects', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ name, color, defaultDir }),
@@ -98,11 +175,229 @@ async function apiCreateProject(name, color, defaultDir) {
 }
 
 async function apiDeleteProject(name) {
-  const res = await fetch(`/projects/${encodeURIComponent(name)}`, { method: 'DELETE' });
+  const res = await apiFetch(`/projects/${encodeURIComponent(name)}`, { method: 'DELETE' });
   if (!res.ok) throw new Error(`DELETE /projects/${name} failed: ${res.status}`);
   return res.json();
 }
 
+async function apiInstallHooks(projectName) {
+  const res = await apiFetch(`/projects/${encodeURIComponent(projectName)}/hooks`, { method: 'POST' });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `POST /projects/${projectName}/hooks failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiGetVapidPublicKey() {
+  const res = await apiFetch('/push/vapid-public-key');
+  if (!res.ok) throw new Error(`GET /push/vapid-public-key failed: ${res.status}`);
+  return (await res.json()).publicKey;
+}
+
+async function apiPushSubscribe(subscription) {
+  const res = await apiFetch('/push/subscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subscription }),
+  });
+  if (!res.ok) throw new Error(`POST /push/subscribe failed: ${res.status}`);
+  return res.json();
+}
+
+async function apiPushUnsubscribe(endpoint) {
+  const res = await apiFetch('/push/unsubscribe', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ endpoint }),
+  });
+  if (!res.ok) throw new Error(`POST /push/unsubscribe failed: ${res.status}`);
+  return res.json();
+}
+
+async function apiUpdateProject(name, updates) {
+  const res = await apiFetch(`/projects/${encodeURIComponent(name)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(updates),
+  });
+  if (!res.ok) throw new Error(`PATCH /projects/${name} failed: ${res.status}`);
+  return res.json();
+}
+
+async function apiGetTags() {
+  const res = await apiFetch('/tags');
+  if (!res.ok) throw new Error(`GET /tags failed: ${res.status}`);
+  return res.json();
+}
+
+async function apiUpdateTag(name, updates) {
+  const res = await apiFetch(`/tags/${encodeURIComponent(name)}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(updates),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `PATCH /tags/${name} failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiDeleteTag(name) {
+  const res = await apiFetch(`/tags/${encodeURIComponent(name)}`, { method: 'DELETE' });
+  if (!res.ok) throw new Error(`DELETE /tags/${name} failed: ${res.status}`);
+  return res.json();
+}
+
+async function apiSearch(query) {
+  const res = await apiFetch(`/search?q=${encodeURIComponent(query)}`);
+  if (!res.ok) throw new Error(`GET /search failed: ${res.status}`);
+  return res.json();
+}
+
+async function apiForkSession(sessionId) {
+  const res = await apiFetch(`/sessions/${sessionId}/fork`, { method: 'POST' });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `POST /sessions/${sessionId}/fork failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// target: { sessions: [ids] } or { project }; input: { text } and/or { keys }
+async function apiBroadcast(target, input) {
+  const res = await apiFetch('/broadcast', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...target, ...input }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `POST /broadcast failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiQueuePrompt(sessionId, text) {
+  const res = await apiFetch(`/sessions/${sessionId}/queue`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `POST /sessions/${sessionId}/queue failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiReorderQueue(sessionId, order) {
+  const res = await apiFetch(`/sessions/${sessionId}/queue`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ order }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `PATCH /sessions/${sessionId}/queue failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiCancelQueued(sessionId, itemId) {
+  const res = await apiFetch(`/sessions/${sessionId}/queue/${itemId}`, { method: 'DELETE' });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `DELETE /sessions/${sessionId}/queue/${itemId} failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiListFiles(sessionId, path) {
+  const res = await apiFetch(`/sessions/${sessionId}/files?path=${encodeURIComponent(path)}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `GET /sessions/${sessionId}/files failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiGetFile(sessionId, path) {
+  const res = await apiFetch(`/sessions/${sessionId}/file?path=${encodeURIComponent(path)}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `GET /sessions/${sessionId}/file failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiGetGitStatus(sessionId) {
+  const res = await apiFetch(`/sessions/${sessionId}/git`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `GET /sessions/${sessionId}/git failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+async function apiGetRecording(sessionId) {
+  const res = await apiFetch(`/sessions/${sessionId}/recording.cast`);
+  if (res.status === 404) throw new Error('No recording for this session yet');
+  if (!res.ok) throw new Error(`GET /sessions/${sessionId}/recording.cast failed: ${res.status}`);
+  return res.text();
+}
+
+async function apiLogin(passphrase) {
+  const res = await fetch('/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ passphrase }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err.error || `POST /auth/login failed: ${res.status}`);
+  }
+  return res.json();
+}
+
+// --- Login ---
+function showLogin() {
+  const view = document.getElementById('login-view');
+  if (!view || !view.classList.contains('hidden')) return;
+  stopEventStream();
+  view.classList.remove('hidden');
+  setTimeout(() => {
+    const input = document.getElementById('login-passphrase');
+    if (input) input.focus();
+  }, 50);
+}
+
+async function submitLogin(e) {
+  e.preventDefault();
+  const input = document.getElementById('login-passphrase');
+  const errorEl = document.getElementById('login-error');
+  const submitBtn = document.getElementById('login-submit');
+  if (!input || !input.value) return;
+
+  if (submitBtn) submitBtn.disabled = true;
+  if (errorEl) errorEl.textContent = '';
+
+  try {
+    await apiLogin(input.value);
+    input.value = '';
+    document.getElementById('login-view').classList.add('hidden');
+    await fetchAndUpdateSessions();
+    handleRoute(window.location.pathname);
+    startEventStream();
+  } catch (err) {
+    if (errorEl) errorEl.textContent = err.message;
+    input.select();
+  } finally {
+    if (submitBtn) submitBtn.disabled = false;
+  }
+}
+
 // --- Utility ---
 function timeAgo(date) {
   const now = new Date();
@@ -141,6 +436,20 @@ function getInitial(name) {
   return (name || '?')[0].toUpperCase();
 }
 
+// --- Status ---
+const KNOWN_STATUSES = ['running', 'needs-input', 'awaiting-approval', 'done', 'idle', 'error'];
+// Statuses where Claude is blocked until the user answers
+const WAITING_STATUSES = ['needs-input', 'awaiting-approval'];
+
+const STATUS_LABELS = {
+  running: 'Running',
+  'needs-input': 'Needs input',
+  'awaiting-approval': 'Awaiting approval',
+  done: 'Done',
+  idle: 'Idle',
+  error: 'Error',
+};
+
 // --- Utility: determine if a session is stale (>24h since last activity) ---
 function isStale(session) {
   if (!session.lastActivity) return false;
@@ -158,6 +467,11 @@ function renderSessionRow(session, context = 'home') {
     row.classList.add('selected');
   }
 
+  const selecting = context === 'sidebar' && state.selectMode;
+  if (selecting && state.selectedIds.has(session.id)) {
+    row.classList.add('checked');
+  }
+
   if (isStale(session)) {
     row.classList.add('stale');
   }
@@ -167,8 +481,7 @@ function renderSessionRow(session, context = 'home') {
   const time = session.lastActivity ? timeAgo(new Date(session.lastActivity)) : '';
 
   // Status dot: only show for known statuses; hide for unknown/empty
-  const knownStatuses = ['running', 'done', 'idle', 'error'];
-  const statusClass = knownStatuses.includes(session.status) ? session.status : '';
+  const statusClass = KNOWN_STATUSES.includes(session.status) ? session.status : '';
 
   // Project-aware avatar
   const avatarColor = session.projectColor || getAvatarColor(session.name);
@@ -177,13 +490,19 @@ function renderSessionRow(session, context = 'home') {
   // Pin indicator
   const pinHtml = session.pinned ? '<span class="pin-indicator">pinned</span>' : '';
 
+  // Fork link back to the parent session
+  const parent = session.forkOf ? state.sessions.find(s => s.id === session.forkOf) : null;
+  const forkHtml = session.forkOf
+    ? `<button class="fork-link" title="Open the session this was forked from">&#8627; fork of ${escapeHtml(parent ? parent.name : 'another session')}</button>`
+    : '';
+
   row.innerHTML = `
     <div class="session-row-unread ${unreadClass}">
       <span class="session-row-unread-dot"></span>
     </div>
     <div class="session-avatar" style="background: ${avatarColor}">
       <span class="avatar-initial">${avatarInitial}</span>
-      <span class="status-dot ${statusClass}"></span>
+      <span class="status-dot ${statusClass}" title="${STATUS_LABELS[statusClass] || ''}"></span>
     </div>
     <div class="session-row-body">
       <div class="session-row-top">
@@ -191,14 +510,31 @@ function renderSessionRow(session, context = 'home') {
         ${pinHtml}
         <span class="session-row-time">${time}</span>
       </div>
+      ${forkHtml}
+      ${tagChipsHtml(session.tags)}
       <div class="session-row-preview">${escapeHtml(session.preview || '')}</div>
     </div>
     <button class="session-row-add" title="Open in panel">+</button>
   `;
+  if (selecting) {
+    row.insertAdjacentHTML('afterbegin', '<span class="session-row-check">&#10003;</span>');
+  }
+
+  const forkLink = row.querySelector('.fork-link');
+  if (forkLink) {
+    forkLink.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openConversation(session.forkOf);
+    });
+  }
 
   // Click row -> open conversation
   row.addEventListener('click', (e) => {
     if (e.target.closest('.session-row-add')) return;
+    if (selecting) {
+      toggleSelected(session.id);
+      return;
+    }
     openConversation(session.id);
   });
 
@@ -262,6 +598,33 @@ function getProjectGroups(sessions) {
   return sorted; // [ [groupName, sessions[]], ... ]
 }
 
+// --- Usage ---
+// Token and cost totals across sessions (usage is null until the server has read the transcript)
+function sumUsage(sessions) {
+  const total = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
+  for (const session of sessions) {
+    if (!session.usage) continue;
+    for (const key of Object.keys(total)) total[key] += session.usage[key];
+  }
+  return total;
+}
+
+function formatCost(cost) {
+  return cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`;
+}
+
+function formatTokens(count) {
+  if (count < 1000) return String(count);
+  if (count < 1e6) return `${(count / 1000).toFixed(1)}k`;
+  return `${(count / 1e6).toFixed(1)}M`;
+}
+
+function usageTooltip(usage) {
+  return `Tokens: ${formatTokens(usage.input)} in, ${formatTokens(usage.output)} out, `
+    + `${formatTokens(usage.cacheRead)} cache read, ${formatTokens(usage.cacheWrite)} cache write`
+    + ` · Estimated cost ${formatCost(usage.cost)}`;
+}
+
 // --- Dashboard: render left column (projects) ---
 function renderProjects() {
   if (!dom.dashboardProjects) return;
@@ -289,10 +652,15 @@ function renderProjects() {
     const project = state.projects[name];
     const sessions = state.sessions.filter(s => s.group === name);
     const running = sessions.filter(s => s.status === 'running').length;
+    const waiting = sessions.filter(s => WAITING_STATUSES.includes(s.status)).length;
     const total = sessions.length;
 
+    const usage = sumUsage(sessions);
+
     let subtitle = `${total} session${total !== 1 ? 's' : ''}`;
+    if (usage.cost > 0) subtitle += ` · ${formatCost(usage.cost)}`;
     if (running > 0) subtitle += ` · ${running} running`;
+    if (waiting > 0) subtitle += ` · ${waiting} waiting`;
 
     const MAX_DOTS = 5;
     const dotSessions = sessions.slice(0, MAX_DOTS);
@@ -304,9 +672,8 @@ function renderProjects() {
     row.setAttribute('tabindex', '0');
 
     const dotsHtml = dotSessions.map(s => {
-      const knownStatuses = ['running', 'done', 'idle', 'error'];
-      const cls = knownStatuses.includes(s.status) ? s.status : 'idle';
-      return `<span class="status-dot ${cls}"></span>`;
+      const cls = KNOWN_STATUSES.includes(s.status) ? s.status : 'idle';
+      return `<span class="status-dot ${cls}" title="${STATUS_LABELS[cls]}"></span>`;
     }).join('');
 
     const overflowHtml = overflow > 0
@@ -321,7 +688,7 @@ function renderProjects() {
           <span class="project-color-dot" style="background: ${escapeHtml(color)}"></span>
           ${escapeHtml(name)}
         </div>
-        <div class="project-row-meta">${escapeHtml(subtitle)}</div>
+        <div class="project-row-meta" title="${escapeHtml(usageTooltip(usage))}">${escapeHtml(subtitle)}</div>
       </div>
       <div class="project-dots">
         ${dotsHtml}${overflowHtml}
@@ -353,7 +720,8 @@ function renderRecent() {
   if (!dom.dashboardRecent) return;
   dom.dashboardRecent.innerHTML = '';
 
-  const filtered = filterSessions(state.sessions, state.searchQuery);
+  renderTagBar(document.getElementById('home-tag-bar'));
+  const filtered = filterSessions(state.sessions, state.searchQuery, state.tagFilter);
 
   const sorted = [...filtered].sort((a, b) => {
     const aTime = a.lastActivity ? new Date(a.lastActivity).getTime() : 0;
@@ -364,16 +732,18 @@ function renderRecent() {
   const recent = sorted.slice(0, 15);
 
   if (recent.length === 0) {
-    const empty = document.createElement('p');
-    empty.className = 'dashboard-empty';
-    empty.textContent = 'No recent sessions.';
-    dom.dashboardRecent.appendChild(empty);
+    if (state.searchResults.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'dashboard-empty';
+      empty.textContent = 'No recent sessions.';
+      dom.dashboardRecent.appendChild(empty);
+    }
+    renderSearchResults(dom.dashboardRecent, state.searchResults);
     return;
   }
 
   recent.forEach(session => {
-    const knownStatuses = ['running', 'done', 'idle', 'error'];
-    const statusCls = knownStatuses.includes(session.status) ? session.status : 'idle';
+    const statusCls = KNOWN_STATUSES.includes(session.status) ? session.status : 'idle';
     const time = session.lastActivity ? timeAgo(new Date(session.lastActivity)) : '';
     const groupLabel = session.group ? ` · ${escapeHtml(session.group)}` : '';
     const preview = session.preview ? escapeHtml(session.preview) : '';
@@ -386,11 +756,12 @@ function renderRecent() {
 
     row.innerHTML = `
       <div class="recent-row-top">
-        <span class="status-dot ${statusCls}"></span>
+        <span class="status-dot ${statusCls}" title="${STATUS_LABELS[statusCls]}"></span>
         <span class="recent-row-name">${escapeHtml(session.name)}</span>
         <span class="recent-row-group">${groupLabel}</span>
         <span class="recent-row-time">${time}</span>
       </div>
+      ${tagChipsHtml(session.tags)}
       ${preview ? `<div class="recent-row-preview">${preview}</div>` : ''}
     `;
 
@@ -408,6 +779,8 @@ function renderRecent() {
 
     dom.dashboardRecent.appendChild(row);
   });
+
+  renderSearchResults(dom.dashboardRecent, state.searchResults);
 }
 
 // --- Open project view: switch to split view filtered to a project group ---
@@ -465,7 +838,8 @@ function renderSidebar() {
     sessions = sessions.filter(s => s.group === state.activeGroup);
   }
 
-  const filtered = filterSessions(sessions, state.searchQuery);
+  renderTagBar(document.getElementById('sidebar-tag-bar'));
+  const filtered = filterSessions(sessions, state.searchQuery, state.tagFilter);
 
   const sorted = [...filtered].sort((a, b) => {
     const aTime = a.lastActivity ? new Date(a.lastActivity).getTime() : 0;
@@ -476,9 +850,17 @@ function renderSidebar() {
   sorted.forEach(session => {
     dom.sidebarList.appendChild(renderSessionRow(session, 'sidebar'));
   });
+
+  const results = state.activeGroup
+    ? state.searchResults.filter(r => r.group === state.activeGroup)
+    : state.searchResults;
+  renderSearchResults(dom.sidebarList, results);
 }
 
-function filterSessions(sessions, query) {
+function filterSessions(sessions, query, tags) {
+  if (tags && tags.size) {
+    sessions = sessions.filter(s => [...tags].every(tag => (s.tags || []).includes(tag)));
+  }
   if (!query) return sessions;
   const q = query.toLowerCase();
   return sessions.filter(s =>
@@ -492,34 +874,37 @@ function filterSessions(sessions, query) {
 // TERMINAL MANAGEMENT
 // ============================================
 
+const TERMINAL_FONT = "'SF Mono', 'Menlo', 'Monaco', 'Courier New', monospace";
+const TERMINAL_THEME = {
+  background: '#ffffff',
+  foreground: '#1a1a1a',
+  cursor: '#007AFF',
+  cursorAccent: '#ffffff',
+  selectionBackground: 'rgba(0,122,255,0.2)',
+  black: '#1a1a1a',
+  red: '#d92020',
+  green: '#1a8a1a',
+  yellow: '#a06000',
+  blue: '#007AFF',
+  magenta: '#8b2be2',
+  cyan: '#0e7490',
+  white: '#f5f5f5',
+  brightBlack: '#6b6b6b',
+  brightRed: '#e03030',
+  brightGreen: '#2db52d',
+  brightYellow: '#c07800',
+  brightBlue: '#3399ff',
+  brightMagenta: '#a855f7',
+  brightCyan: '#06b6d4',
+  brightWhite: '#ffffff',
+};
+
 function createTerminal(sessionId, containerEl) {
   const terminal = new Terminal({
     cursorBlink: true,
     fontSize: 13,
-    fontFamily: "'SF Mono', 'Menlo', 'Monaco', 'Courier New', monospace",
-    theme: {
-      background: '#ffffff',
-      foreground: '#1a1a1a',
-      cursor: '#007AFF',
-      cursorAccent: '#ffffff',
-      selectionBackground: 'rgba(0,122,255,0.2)',
-      black: '#1a1a1a',
-      red: '#d92020',
-      green: '#1a8a1a',
-      yellow: '#a06000',
-      blue: '#007AFF',
-      magenta: '#8b2be2',
-      cyan: '#0e7490',
-      white: '#f5f5f5',
-      brightBlack: '#6b6b6b',
-      brightRed: '#e03030',
-      brightGreen: '#2db52d',
-      brightYellow: '#c07800',
-      brightBlue: '#3399ff',
-      brightMagenta: '#a855f7',
-      brightCyan: '#06b6d4',
-      brightWhite: '#ffffff',
-    },
+    fontFamily: TERMINAL_FONT,
+    theme: TERMINAL_THEME,
     allowProposedApi: true,
   });
 
@@ -685,6 +1070,11 @@ function destroyPanel(sessionId) {
   }
 
   panelState.delete(sessionId);
+  if (!state.panels.includes(sessionId)) {
+    panelDrawers.delete(sessionId);
+    fileBrowsers.delete(sessionId);
+    queueComposers.delete(sessionId);
+  }
 }
 
 // ============================================
@@ -701,18 +1091,51 @@ function renderPanel(sessionId) {
 
   // Header
   panel.querySelector('.status-dot').className = `status-dot ${session.status}`;
+  panel.querySelector('.status-dot').title = STATUS_LABELS[session.status] || '';
   panel.querySelector('.panel-name').textContent = session.name;
   panel.querySelector('.panel-group-label').textContent = session.group || '';
   if (!session.group) {
     panel.querySelector('.panel-group-label').style.display = 'none';
   }
   panel.querySelector('.panel-dir').textContent = session.workingDir || '';
+  panel.querySelector('.panel-last-tool').textContent = session.lastTool ? session.lastTool.name : '';
 
   // Close panel
   panel.querySelector('.panel-close-btn').addEventListener('click', () => {
     removePanel(sessionId);
   });
 
+  // Prompt queue
+  panel.querySelector('.panel-queue-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleQueueComposer(sessionId);
+  });
+  // Clicks in the queue shouldn't move focus to the terminal
+  panel.querySelector('.panel-queue').addEventListener('click', (e) => e.stopPropagation());
+  panel.querySelector('.queue-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitQueuedPrompt(sessionId);
+  });
+  panel.querySelector('.queue-input').addEventListener('keydown', (e) => {
+    e.stopPropagation(); // Keep panel shortcuts out of the input
+    if (e.key === 'Escape') toggleQueueComposer(sessionId);
+  });
+  if (queueComposers.has(sessionId)) panel.querySelector('.queue-form').classList.remove('hidden');
+  renderPanelQueue(panel, session);
+
+  // Files / git changes drawer (stays open across re-renders)
+  panel.querySelectorAll('.panel-drawer-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleDrawer(sessionId, btn.dataset.drawer);
+    });
+  });
+  if (panelDrawers.has(sessionId)) {
+    panel.querySelector('.panel-drawer').classList.remove('hidden');
+    setDrawerButtons(panel, panelDrawers.get(sessionId));
+    setTimeout(() => refreshDrawer(sessionId), 0);
+  }
+
   // Mark as active
   if (state.activeSessionId === sessionId || state.panels.length === 0) {
     panel.classList.add('active');
@@ -777,6 +1200,9 @@ function showHome(skipPush) {
   state.activeGroup = null;
   state.multiMode = false;
   state.panels = [];
+  state.selectMode = false;
+  state.selectedIds.clear();
+  updateSelectBar();
   dom.homeView.classList.remove('hidden');
   dom.splitView.classList.add('hidden');
   renderHome();
@@ -929,6 +1355,9 @@ function renderPanels() {
 }
 
 function refreshActiveView() {
+  // Re-rendering would throw away an inline rename in progress
+  if (document.querySelector('.session-rename-input')) return;
+
   if (state.activeView === 'home') {
     renderHome();
   } else {
@@ -946,9 +1375,15 @@ function updatePanelHeaders() {
     const panel = document.querySelector(`.panel[data-session-id="${sessionId}"]`);
     if (!panel) continue;
     const dot = panel.querySelector('.status-dot');
-    if (dot) dot.className = `status-dot ${session.status}`;
+    if (dot) {
+      dot.className = `status-dot ${session.status}`;
+      dot.title = STATUS_LABELS[session.status] || '';
+    }
     const preview = panel.querySelector('.panel-name');
     if (preview) preview.textContent = session.name;
+    const tool = panel.querySelector('.panel-last-tool');
+    if (tool) tool.textContent = session.lastTool ? session.lastTool.name : '';
+    renderPanelQueue(panel, session);
   }
 }
 
@@ -1048,6 +1483,7 @@ async function startNewSession() {
     // Pre-select current project if inside a project view
     if (state.activeGroup && select) {
       select.value = state.activeGroup;
+      showLaunchDefaults(state.activeGroup);
       // Auto-fill the directory from the project's defaultDir
       try {
         const projects = await apiGetProjects();
@@ -1060,6 +1496,7 @@ async function startNewSession() {
 
     // Auto-fill dir when a project is selected
     select.addEventListener('change', async () => {
+      showLaunchDefaults(select.value);
       const dirInput = document.getElementById('config-dir');
       if (!dirInput || dirInput.value.trim()) return; // Don't override manual input
       const projectName = select.value;
@@ -1080,6 +1517,18 @@ async function startNewSession() {
   }, 50);
 }
 
+// Show the project's launch profile as placeholders for the override fields
+async function showLaunchDefaults(projectName) {
+  const modelInput = document.getElementById('config-model');
+  if (!modelInput) return;
+  let launch = {};
+  try {
+    const projects = projectName ? await apiGetProjects() : {};
+    launch = (projects[projectName] && projects[projectName].launch) || {};
+  } catch { /* ignore */ }
+  modelInput.placeholder = launch.model || 'Project default';
+}
+
 function cancelNewSession() {
   const newRow = document.getElementById('new-session-row');
   if (newRow) newRow.style.display = 'none';
@@ -1091,9 +1540,15 @@ function cancelNewSession() {
   const nameInput = document.getElementById('config-name');
   const dirInput = document.getElementById('config-dir');
   const msgInput = document.getElementById('config-message');
+  const modelInput = document.getElementById('config-model');
+  const permissionSelect = document.getElementById('config-permission');
+  const isolateCheck = document.getElementById('config-isolate');
+  if (isolateCheck) isolateCheck.checked = false;
   if (nameInput) nameInput.value = '';
   if (dirInput) dirInput.value = '';
   if (msgInput) msgInput.value = '';
+  if (modelInput) modelInput.value = '';
+  if (permissionSelect) permissionSelect.value = '';
 
   // If no active session, go back home
   if (!state.activeSessionId) {
@@ -1120,28 +1575,28 @@ async function submitNewSession() {
   const group = groupSelect ? groupSelect.value : null;
   const dir = dirInput ? dirInput.value.trim() : undefined;
 
+  // Per-session overrides of the project's launch profile
+  const modelInput = document.getElementById('config-model');
+  const permissionSelect = document.getElementById('config-permission');
+  const launch = {};
+  if (modelInput && modelInput.value.trim()) launch.model = modelInput.value.trim();
+  if (permissionSelect && permissionSelect.value) launch.permissionMode = permissionSelect.value;
+  const isolateCheck = document.getElementById('config-isolate');
+  const isolate = !!(isolateCheck && isolateCheck.checked);
+
   if (startBtn) {
     startBtn.disabled = true;
     startBtn.textContent = 'Starting...';
   }
 
   try {
-    const session = await apiCreateSession(name, group || null, dir || undefined);
+    const session = await apiCreateSession(name, group || null, dir || undefined,
+      Object.keys(launch).length ? launch : undefined, isolate, message);
     session.unread = false;
     state.sessions.unshift(session);
 
     cancelNewSession();
     openConversation(session.id);
-
-    // Send initial message after pty initializes
-    if (message) {
-      setTimeout(() => {
-        const ps = panelState.get(session.id);
-        if (ps && ps.ws && ps.ws.readyState === WebSocket.OPEN) {
-          ps.ws.send(message + '\n');
-        }
-      }, 1500);
-    }
   } catch (err) {
     console.error('Failed to create session:', err);
     alert('Failed to create session: ' + err.message);
@@ -1154,24 +1609,107 @@ async function submitNewSession() {
 }
 
 // --- Search ---
+let searchTimer = null;
+const SEARCH_DEBOUNCE_MS = 250;
+
 function handleSearch(query) {
   state.searchQuery = query;
+  if (query.trim().length < 2) {
+    state.searchResults = [];
+  }
   if (state.activeView === 'home') {
     renderHome();
   } else {
     renderSidebar();
   }
+
+  // Full-text transcript search runs server-side, debounced
+  clearTimeout(searchTimer);
+  if (query.trim().length >= 2) {
+    searchTimer = setTimeout(() => runTranscriptSearch(query), SEARCH_DEBOUNCE_MS);
+  }
+}
+
+async function runTranscriptSearch(query) {
+  try {
+    const results = await apiSearch(query);
+    if (query !== state.searchQuery) return; // Stale response
+    state.searchResults = results;
+    if (state.activeView === 'home') {
+      renderRecent();
+    } else {
+      renderSidebar();
+    }
+  } catch (err) {
+    console.error('Search failed:', err);
+  }
+}
+
+// Escape snippet text and wrap match ranges in <mark>
+function highlightSnippet(snippet) {
+  let html = '';
+  let pos = 0;
+  for (const [start, end] of snippet.matches) {
+    if (start < pos) continue; // Overlapping match
+    html += escapeHtml(snippet.text.slice(pos, start));
+    html += `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+    pos = end;
+  }
+  return html + escapeHtml(snippet.text.slice(pos));
+}
+
+function renderSearchResults(container, results) {
+  if (!results || results.length === 0) return;
+
+  const header = document.createElement('div');
+  header.className = 'search-results-header';
+  header.textContent = 'In transcripts';
+  container.appendChild(header);
+
+  results.forEach(result => {
+    const row = document.createElement('div');
+    row.className = 'search-result-row';
+    row.setAttribute('role', 'button');
+    row.setAttribute('tabindex', '0');
+    row.dataset.sessionId = result.id;
+
+    const groupLabel = result.group ? ` · ${escapeHtml(result.group)}` : '';
+    const count = result.matchCount > 1 ? `${result.matchCount} matches` : '1 match';
+    const snippetsHtml = result.snippets
+      .map(sn => `<div class="search-result-snippet">${highlightSnippet(sn)}</div>`)
+      .join('');
+
+    row.innerHTML = `
+      <div class="search-result-top">
+        <span class="search-result-name">${escapeHtml(result.name)}</span>
+        <span class="search-result-group">${groupLabel}</span>
+        <span class="search-result-count">${count}</span>
+      </div>
+      ${snippetsHtml}
+    `;
+
+    row.addEventListener('click', () => openConversation(result.id));
+    row.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openConversation(result.id);
+      }
+    });
+
+    container.appendChild(row);
+  });
 }
 
-// --- Polling: Fetch sessions from server periodically ---
+// --- Session list: full fetch, plus live updates over /events ---
 let lastSessionsHash = '';
 let lastProjectsHash = '';
 
 async function fetchAndUpdateSessions() {
   try {
-    const [serverSessions, projects] = await Promise.all([
+    const [serverSessions, projects, tags] = await Promise.all([
       apiGetSessions(),
       apiGetProjects(),
+      apiGetTags(),
     ]);
 
     // Quick hash to detect changes: compare JSON length + first/last IDs + activity times
@@ -1179,13 +1717,17 @@ async function fetchAndUpdateSessions() {
       (serverSessions[0]?.id || '') + ':' +
       (serverSessions[0]?.lastActivity || '') + ':' +
       (serverSessions[0]?.status || '');
-    const projHash = JSON.stringify(projects);
+    const projHash = JSON.stringify([projects, tags, serverSessions.map(s => s.tags)]);
 
     const changed = sessHash !== lastSessionsHash || projHash !== lastProjectsHash;
     lastSessionsHash = sessHash;
     lastProjectsHash = projHash;
 
     state.projects = projects;
+    state.tags = tags;
+    for (const tag of state.tagFilter) {
+      if (!tags[tag]) state.tagFilter.delete(tag);
+    }
     // Merge server data with local unread state
     const unreadMap = new Map();
     for (const s of state.sessions) {
@@ -1204,22 +1746,1035 @@ async function fetchAndUpdateSessions() {
   }
 }
 
-function startPolling() {
-  fetchAndUpdateSessions(); // Initial fetch
-  pollInterval = setInterval(fetchAndUpdateSessions, POLL_INTERVAL_MS);
+// Coalesce bursts of "something changed" events into one fetch
+function scheduleRefresh() {
+  clearTimeout(refreshTimer);
+  refreshTimer = setTimeout(fetchAndUpdateSessions, REFRESH_DEBOUNCE_MS);
 }
 
-function stopPolling() {
-  if (pollInterval) {
-    clearInterval(pollInterval);
-    pollInterval = null;
+// Apply a partial update ({ id, status?, preview?, lastActivity? }) from the server
+function applySessionPatch(patch) {
+  const session = state.sessions.find(s => s.id === patch.id);
+  if (!session) {
+    scheduleRefresh();
+    return;
+  }
+  for (const [key, value] of Object.entries(patch)) {
+    if (value !== null && value !== undefined) session[key] = value;
   }
+  refreshActiveView();
 }
 
-// --- Context Menu ---
-function showContextMenu(sessionId, x, y) {
-  const menu = document.getElementById('context-menu');
-  const session = state.sessions.find(s => s.id === sessionId);
+function removeSessionLocally(sessionId) {
+  const before = state.sessions.length;
+  state.sessions = state.sessions.filter(s => s.id !== sessionId);
+  if (state.sessions.length !== before) refreshActiveView();
+}
+
+function startEventStream() {
+  if (eventSource) return;
+  eventSource = new EventSource('/events');
+
+  // Full fetch on every (re)connect so nothing missed while offline is lost
+  eventSource.addEventListener('open', fetchAndUpdateSessions);
+
+  const onPatch = (e) => applySessionPatch(JSON.parse(e.data));
+  eventSource.addEventListener('session-status', (e) => {
+    const patch = JSON.parse(e.data);
+    const session = state.sessions.find(s => s.id === patch.id);
+    const previous = session ? session.status : null;
+    applySessionPatch(patch);
+    if (session) maybeNotify(session, previous, patch.status);
+    // Claude has stopped touching files: show what changed
+    if (patch.status !== 'running') refreshGitDrawer(patch.id);
+  });
+  eventSource.addEventListener('session-updated', onPatch);
+  eventSource.addEventListener('session-queue', onPatch);
+  eventSource.addEventListener('snippets-changed', () => {
+    if (snippetPicker.target) loadSnippetList();
+  });
+
+  eventSource.addEventListener('session-archived', (e) => {
+    const { id, archived } = JSON.parse(e.data);
+    if (archived) {
+      removeSessionLocally(id);
+    } else {
+      scheduleRefresh();
+    }
+  });
+  eventSource.addEventListener('session-deleted', (e) => {
+    removeSessionLocally(JSON.parse(e.data).id);
+  });
+
+  // Changes that affect derived fields (names, groups, colors): refetch
+  for (const type of ['session-created', 'session-meta', 'sessions-changed', 'projects-changed', 'tags-changed']) {
+    eventSource.addEventListener(type, scheduleRefresh);
+  }
+
+  eventSource.onerror = () => {
+    // EventSource retries by itself unless the server refused the stream (e.g. 401)
+    if (eventSource.readyState !== EventSource.CLOSED) return;
+    stopEventStream();
+    eventRetryTimer = setTimeout(startEventStream, EVENT_RETRY_MS);
+    fetchAndUpdateSessions(); // Shows the login screen if that was the reason
+  };
+}
+
+function stopEventStream() {
+  clearTimeout(eventRetryTimer);
+  eventRetryTimer = null;
+  if (eventSource) {
+    eventSource.close();
+    eventSource = null;
+  }
+}
+
+// --- Notifications ---
+// With a push subscription the service worker shows notifications (even with
+// no tab open). Without one, fall back to the Notification API while a tab is open.
+let pushSubscribed = false;
+
+function notificationFor(previous, status) {
+  if (status === 'needs-input') return 'is waiting for your input';
+  if (status === 'awaiting-approval') return 'needs permission to continue';
+  if (status === 'error') return 'hit an error';
+  if (previous === 'running' && (status === 'idle' || status === 'done')) return 'finished';
+  return null;
+}
+
+function isMuted(session) {
+  if (session.muted) return true;
+  const project = session.group && state.projects[session.group];
+  return !!(project && project.muted);
+}
+
+function maybeNotify(session, previous, status) {
+  if (pushSubscribed) return;
+  if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  if (!document.hidden && state.activeSessionId === session.id) return;
+  if (isMuted(session)) return;
+
+  const action = notificationFor(previous, status);
+  if (!action) return;
+
+  const notification = new Notification(`${session.name} ${action}`, {
+    body: session.preview || '',
+    tag: session.id,
+  });
+  notification.onclick = () => {
+    window.focus();
+    openConversation(session.id);
+    notification.close();
+  };
+}
+
+function urlBase64ToUint8Array(base64) {
+  const padded = (base64 + '='.repeat((4 - base64.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(padded);
+  return Uint8Array.from(raw, c => c.charCodeAt(0));
+}
+
+function updateNotifyButton() {
+  const btn = document.getElementById('notify-btn');
+  if (!btn) return;
+  if (!('Notification' in window)) {
+    btn.classList.add('hidden');
+    return;
+  }
+  const on = Notification.permission === 'granted';
+  btn.textContent = on ? 'Notifications On' : 'Enable Notifications';
+  btn.classList.toggle('on', on);
+}
+
+async function initNotifications() {
+  updateNotifyButton();
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.register('/sw.js');
+    if (registration.pushManager) {
+      const subscription = await registration.pushManager.getSubscription();
+      pushSubscribed = !!subscription;
+    }
+  } catch (err) {
+    console.warn('Service worker registration failed:', err);
+  }
+
+  // Notification clicks from the service worker deep-link into the open tab
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data && e.data.type === 'open-url') {
+      pushRoute(e.data.url);
+      handleRoute(e.data.url);
+    }
+  });
+}
+
+async function toggleNotifications() {
+  if (!('Notification' in window)) return;
+
+  // Already on: turn push off (browser permission itself can only be revoked in settings)
+  if (Notification.permission === 'granted' && pushSubscribed) {
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.getSubscription();
+      if (subscription) {
+        await apiPushUnsubscribe(subscription.endpoint);
+        await subscription.unsubscribe();
+      }
+      pushSubscribed = false;
+    } catch (err) {
+      console.error('Failed to disable push:', err);
+    }
+    updateNotifyButton();
+    return;
+  }
+
+  const permission = await Notification.requestPermission();
+  updateNotifyButton();
+  if (permission !== 'granted' || !('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.pushManager) return;
+    const publicKey = await apiGetVapidPublicKey();
+    const subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+    await apiPushSubscribe(subscription.toJSON());
+    pushSubscribed = true;
+  } catch (err) {
+    // Push unavailable (e.g. not installed to home screen on iOS): tab notifications still work
+    console.warn('Push subscription failed:', err);
+  }
+}
+
+// --- Snippets ---
+const snippetPicker = {
+  target: null,   // { sessionId } inserts into that terminal; { form: true } fills the new-session message
+  project: null,  // Scope for listing and for new snippets
+  snippets: [],
+  index: 0,       // Highlighted row among the filtered snippets
+  editingId: null,
+};
+
+function newSessionFormOpen() {
+  const config = document.getElementById('new-session-config');
+  return config && !config.classList.contains('hidden');
+}
+
+// Cmd+; — the new-session form if it's open, otherwise the active terminal
+function openSnippetPickerForContext() {
+  if (newSessionFormOpen()) {
+    const group = document.getElementById('config-group');
+    openSnippetPicker({ form: true }, group ? group.value || null : null);
+  } else if (state.activeView === 'conversation' && state.activeSessionId) {
+    const session = state.sessions.find(s => s.id === state.activeSessionId);
+    openSnippetPicker({ sessionId: state.activeSessionId }, session ? session.group : null);
+  }
+}
+
+async function openSnippetPicker(target, project) {
+  snippetPicker.target = target;
+  snippetPicker.project = project || null;
+  snippetPicker.index = 0;
+  hideSnippetForm();
+  document.getElementById('snippet-search').value = '';
+  document.getElementById('snippet-picker').classList.remove('hidden');
+  document.getElementById('snippet-search').focus();
+  await loadSnippetList();
+}
+
+function closeSnippetPicker() {
+  document.getElementById('snippet-picker').classList.add('hidden');
+  const target = snippetPicker.target;
+  snippetPicker.target = null;
+  if (target && target.sessionId) {
+    const ps = panelState.get(target.sessionId);
+    if (ps) ps.terminal.focus();
+  } else if (target && target.form) {
+    document.getElementById('config-message').focus();
+  }
+}
+
+async function loadSnippetList() {
+  try {
+    snippetPicker.snippets = await apiGetSnippets(snippetPicker.project);
+  } catch (err) {
+    console.error('Failed to load snippets:', err);
+    snippetPicker.snippets = [];
+  }
+  renderSnippetList();
+}
+
+function filteredSnippets() {
+  const q = document.getElementById('snippet-search').value.trim().toLowerCase();
+  if (!q) return snippetPicker.snippets;
+  return snippetPicker.snippets.filter(s =>
+    s.name.toLowerCase().includes(q) || s.text.toLowerCase().includes(q));
+}
+
+function renderSnippetList() {
+  const list = document.getElementById('snippet-list');
+  const snippets = filteredSnippets();
+  snippetPicker.index = Math.min(snippetPicker.index, Math.max(snippets.length - 1, 0));
+
+  if (snippets.length === 0) {
+    list.innerHTML = `<div class="drawer-empty">${snippetPicker.snippets.length ? 'No matches' : 'No snippets yet'}</div>`;
+    return;
+  }
+  list.innerHTML = snippets.map((snippet, i) => `
+    <div class="snippet-row${i === snippetPicker.index ? ' highlighted' : ''}" data-index="${i}">
+      <div class="snippet-row-body">
+        <div class="snippet-row-name">${escapeHtml(snippet.name)}<span class="snippet-row-scope">${escapeHtml(snippet.project || 'Global')}</span></div>
+        <div class="snippet-row-text">${escapeHtml(snippet.text)}</div>
+      </div>
+      <button class="snippet-edit" title="Edit">&#9998;</button>
+      <button class="snippet-delete" title="Delete">&times;</button>
+    </div>`).join('');
+
+  list.querySelectorAll('.snippet-row').forEach(row => {
+    const snippet = snippets[Number(row.dataset.index)];
+    row.addEventListener('click', () => useSnippet(snippet));
+    row.querySelector('.snippet-edit').addEventListener('click', (e) => {
+      e.stopPropagation();
+      showSnippetForm(snippet);
+    });
+    row.querySelector('.snippet-delete').addEventListener('click', async (e) => {
+      e.stopPropagation();
+      if (!confirm(`Delete snippet "${snippet.name}"?`)) return;
+      try {
+        await apiDeleteSnippet(snippet.id);
+        await loadSnippetList();
+      } catch (err) {
+        alert('Failed to delete snippet: ' + err.message);
+      }
+    });
+  });
+}
+
+async function useSnippet(snippet) {
+  const target = snippetPicker.target;
+  if (!snippet || !target) return;
+
+  let context;
+  if (target.form) {
+    context = {
+      workingDir: document.getElementById('config-dir').value.trim() || undefined,
+      project: document.getElementById('config-group').value || undefined,
+      sessionName: document.getElementById('config-name').value.trim() || undefined,
+    };
+  } else {
+    context = { sessionId: target.sessionId };
+  }
+
+  let text;
+  try {
+    ({ text } = await apiRenderSnippet(snippet.id, context));
+  } catch (err) {
+    alert('Failed to use snippet: ' + err.message);
+    return;
+  }
+
+  closeSnippetPicker();
+  if (target.form) {
+    const msgInput = document.getElementById('config-message');
+    msgInput.setRangeText(text, msgInput.selectionStart, msgInput.selectionEnd, 'end');
+  } else {
+    // Paste rather than type, so multi-line snippets don't submit early
+    const ps = panelState.get(target.sessionId);
+    if (ps) ps.terminal.paste(text);
+  }
+}
+
+function showSnippetForm(snippet) {
+  snippetPicker.editingId = snippet ? snippet.id : null;
+  const scope = document.getElementById('snippet-scope');
+  scope.innerHTML = '<option value="">Global</option>' + Object.keys(state.projects)
+    .map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+  scope.value = snippet ? (snippet.project || '') : (snippetPicker.project || '');
+  document.getElementById('snippet-name').value = snippet ? snippet.name : '';
+  document.getElementById('snippet-text').value = snippet ? snippet.text : '';
+
+  document.getElementById('snippet-form').classList.remove('hidden');
+  document.getElementById('snippet-list').classList.add('hidden');
+  document.getElementById('snippet-search').classList.add('hidden');
+  document.getElementById('snippet-footer').classList.add('hidden');
+  document.getElementById('snippet-name').focus();
+}
+
+function hideSnippetForm() {
+  snippetPicker.editingId = null;
+  document.getElementById('snippet-form').classList.add('hidden');
+  document.getElementById('snippet-list').classList.remove('hidden');
+  document.getElementById('snippet-search').classList.remove('hidden');
+  document.getElementById('snippet-footer').classList.remove('hidden');
+}
+
+async function submitSnippetForm(e) {
+  e.preventDefault();
+  const fields = {
+    name: document.getElementById('snippet-name').value.trim(),
+    text: document.getElementById('snippet-text').value,
+    project: document.getElementById('snippet-scope').value || null,
+  };
+  try {
+    await apiSaveSnippet(snippetPicker.editingId, fields);
+  } catch (err) {
+    alert('Failed to save snippet: ' + err.message);
+    return;
+  }
+  hideSnippetForm();
+  document.getElementById('snippet-search').focus();
+  await loadSnippetList();
+}
+
+function handleSnippetPickerKeydown(e) {
+  if (e.key === 'Escape') {
+    e.stopPropagation(); // Don't also navigate back
+    if (!document.getElementById('snippet-form').classList.contains('hidden')) hideSnippetForm();
+    else closeSnippetPicker();
+    return;
+  }
+  if (e.target.id !== 'snippet-search') return;
+
+  const snippets = filteredSnippets();
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    const delta = e.key === 'ArrowDown' ? 1 : -1;
+    snippetPicker.index = Math.max(0, Math.min(snippets.length - 1, snippetPicker.index + delta));
+    renderSnippetList();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    useSnippet(snippets[snippetPicker.index]);
+  }
+}
+
+// --- Multi-select & Broadcast ---
+function startSelectMode(sessionId) {
+  if (state.activeView === 'home') openConversation(sessionId);
+  state.selectMode = true;
+  state.selectedIds = new Set([sessionId]);
+  renderSidebar();
+  updateSelectBar();
+}
+
+function stopSelectMode() {
+  state.selectMode = false;
+  state.selectedIds.clear();
+  renderSidebar();
+  updateSelectBar();
+}
+
+function toggleSelected(sessionId) {
+  if (state.selectedIds.has(sessionId)) state.selectedIds.delete(sessionId);
+  else state.selectedIds.add(sessionId);
+  renderSidebar();
+  updateSelectBar();
+}
+
+function updateSelectBar() {
+  const bar = document.getElementById('select-bar');
+  bar.classList.toggle('hidden', !state.selectMode);
+  const count = state.selectedIds.size;
+  document.getElementById('select-count').textContent = `${count} selected`;
+  document.getElementById('select-send-btn').disabled = count === 0;
+}
+
+// Resolves to { action: 'send', text } | { action: 'interrupt' } | null
+function askBroadcast(title) {
+  const dialog = document.getElementById('broadcast-dialog');
+  const form = document.getElementById('broadcast-form');
+  const textarea = document.getElementById('broadcast-text');
+  document.getElementById('broadcast-title').textContent = title;
+  dialog.classList.remove('hidden');
+  textarea.focus();
+
+  return new Promise((resolve) => {
+    const finish = (result) => {
+      dialog.removeEventListener('click', onClick);
+      form.removeEventListener('submit', onSubmit);
+      textarea.removeEventListener('keydown', onKeydown);
+      dialog.classList.add('hidden');
+      resolve(result);
+    };
+    const onKeydown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation(); // Don't also navigate back
+        finish(null);
+      } else if (e.key === 'Enter' && !e.shiftKey) {
+        onSubmit(e);
+      }
+    };
+    const onSubmit = (e) => {
+      e.preventDefault();
+      const text = textarea.value.trim();
+      if (!text) return;
+      textarea.value = '';
+      finish({ action: 'send', text });
+    };
+    const onClick = (e) => {
+      const btn = e.target.closest('[data-choice]');
+      if (!btn || btn.type === 'submit') return;
+      finish(btn.dataset.choice ? { action: btn.dataset.choice } : null);
+    };
+    dialog.addEventListener('click', onClick);
+    form.addEventListener('submit', onSubmit);
+    textarea.addEventListener('keydown', onKeydown);
+  });
+}
+
+async function broadcastTo(target, title) {
+  const choice = await askBroadcast(title);
+  if (!choice) return;
+  const input = choice.action === 'interrupt' ? { keys: ['ctrl-c'] } : { text: choice.text };
+  try {
+    const { results } = await apiBroadcast(target, input);
+    const failed = results.filter(r => ['error', 'not-found', 'external'].includes(r.result));
+    if (failed.length) alert(`Couldn't reach ${failed.length} of ${results.length} sessions`);
+    else if (results.length === 0) alert('No sessions to send to');
+  } catch (err) {
+    console.error('Failed to broadcast:', err);
+    alert('Failed to send: ' + err.message);
+  }
+}
+
+// --- Prompt Queue ---
+// queueComposers: Set<sessionId> — panels with the "queue a prompt" input open
+const queueComposers = new Set();
+
+function panelFor(sessionId) {
+  return dom.panelsContainer.querySelector(`.panel[data-session-id="${sessionId}"]`);
+}
+
+function toggleQueueComposer(sessionId) {
+  const panel = panelFor(sessionId);
+  if (!panel) return;
+  const form = panel.querySelector('.queue-form');
+  if (queueComposers.has(sessionId)) {
+    queueComposers.delete(sessionId);
+    form.classList.add('hidden');
+    const entry = panelState.get(sessionId);
+    if (entry) entry.terminal.focus();
+  } else {
+    queueComposers.add(sessionId);
+    form.classList.remove('hidden');
+    form.querySelector('.queue-input').focus();
+  }
+  renderPanelQueue(panel, state.sessions.find(s => s.id === sessionId));
+}
+
+async function submitQueuedPrompt(sessionId) {
+  const panel = panelFor(sessionId);
+  if (!panel) return;
+  const input = panel.querySelector('.queue-input');
+  const text = input.value.trim();
+  if (!text) return;
+  try {
+    await apiQueuePrompt(sessionId, text);
+    input.value = '';
+  } catch (err) {
+    console.error('Failed to queue prompt:', err);
+    alert('Failed to queue prompt: ' + err.message);
+  }
+}
+
+async function moveQueuedPrompt(sessionId, index, delta) {
+  const session = state.sessions.find(s => s.id === sessionId);
+  if (!session || !session.queue) return;
+  const order = session.queue.map(item => item.id);
+  const target = index + delta;
+  if (target < 0 || target >= order.length) return;
+  [order[index], order[target]] = [order[target], order[index]];
+  try {
+    await apiReorderQueue(sessionId, order);
+  } catch (err) {
+    console.error('Failed to reorder queue:', err);
+    alert('Failed to reorder queue: ' + err.message);
+  }
+}
+
+async function cancelQueuedPrompt(sessionId, itemId) {
+  try {
+    await apiCancelQueued(sessionId, itemId);
+  } catch (err) {
+    console.error('Failed to cancel queued prompt:', err);
+    alert('Failed to cancel queued prompt: ' + err.message);
+  }
+}
+
+// List of queued prompts under the panel header; hidden when empty and not composing
+function renderPanelQueue(panel, session) {
+  const queue = (session && session.queue) || [];
+  const sessionId = panel.dataset.sessionId;
+  panel.querySelector('.panel-queue').classList.toggle('hidden', queue.length === 0 && !queueComposers.has(sessionId));
+  panel.querySelector('.panel-queue-btn').classList.toggle('active', queue.length > 0 || queueComposers.has(sessionId));
+  panel.querySelector('.panel-queue-count').textContent = queue.length || '';
+
+  const list = panel.querySelector('.queue-items');
+  list.innerHTML = queue.map((item, i) => `
+    <li class="queue-item" data-index="${i}" data-item-id="${escapeHtml(item.id)}">
+      <span class="queue-text" title="${escapeHtml(item.text)}">${escapeHtml(item.text)}</span>
+      <button class="queue-move" data-delta="-1" title="Move up" ${i === 0 ? 'disabled' : ''}>&#8593;</button>
+      <button class="queue-move" data-delta="1" title="Move down" ${i === queue.length - 1 ? 'disabled' : ''}>&#8595;</button>
+      <button class="queue-cancel" title="Cancel">&times;</button>
+    </li>`).join('');
+
+  list.querySelectorAll('.queue-item').forEach(row => {
+    const index = Number(row.dataset.index);
+    row.querySelectorAll('.queue-move').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        moveQueuedPrompt(sessionId, index, Number(btn.dataset.delta));
+      });
+    });
+    row.querySelector('.queue-cancel').addEventListener('click', (e) => {
+      e.stopPropagation();
+      cancelQueuedPrompt(sessionId, row.dataset.itemId);
+    });
+  });
+}
+
+// --- Panel Drawers ---
+// panelDrawers: Map<sessionId, 'git' | 'files'> — which drawer a panel has open
+const panelDrawers = new Map();
+
+function drawerFor(sessionId) {
+  const panel = panelFor(sessionId);
+  return panel ? panel.querySelector('.panel-drawer') : null;
+}
+
+function setDrawerButtons(panel, kind) {
+  panel.querySelectorAll('.panel-drawer-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.drawer === kind);
+  });
+}
+
+function toggleDrawer(sessionId, kind) {
+  const drawer = drawerFor(sessionId);
+  if (!drawer) return;
+  const panel = drawer.closest('.panel');
+
+  if (panelDrawers.get(sessionId) === kind) {
+    panelDrawers.delete(sessionId);
+    drawer.classList.add('hidden');
+    drawer.innerHTML = '';
+    setDrawerButtons(panel, null);
+    return;
+  }
+
+  panelDrawers.set(sessionId, kind);
+  drawer.classList.remove('hidden');
+  drawer.innerHTML = '<div class="drawer-empty">Loading…</div>';
+  setDrawerButtons(panel, kind);
+  refreshDrawer(sessionId);
+}
+
+function refreshDrawer(sessionId) {
+  const kind = panelDrawers.get(sessionId);
+  if (kind === 'git') refreshGitDrawer(sessionId);
+  if (kind === 'files') refreshFilesDrawer(sessionId);
+}
+
+// --- Git Drawer ---
+async function refreshGitDrawer(sessionId) {
+  if (panelDrawers.get(sessionId) !== 'git') return;
+  const drawer = drawerFor(sessionId);
+  if (!drawer) return;
+
+  // Keep expanded files expanded across refreshes
+  const expanded = new Set([...drawer.querySelectorAll('details[open]')].map(d => d.dataset.key));
+  try {
+    const status = await apiGetGitStatus(sessionId);
+    drawer.innerHTML = renderGitStatus(status);
+  } catch (err) {
+    drawer.innerHTML = `<div class="drawer-empty">${escapeHtml(err.message)}</div>`;
+    return;
+  }
+  drawer.querySelectorAll('details').forEach(d => {
+    if (expanded.has(d.dataset.key)) d.open = true;
+  });
+  drawer.querySelector('.git-refresh-btn').addEventListener('click', (e) => {
+    e.stopPropagation();
+    refreshGitDrawer(sessionId);
+  });
+}
+
+// Color diff lines by kind: added, removed, hunk header, file header
+function renderDiff(diff) {
+  return diff.split('\n').map(line => {
+    let cls = '';
+    if (line.startsWith('+++') || line.startsWith('---') || line.startsWith('diff ') || line.startsWith('index ')) cls = 'diff-meta';
+    else if (line.startsWith('+')) cls = 'diff-add';
+    else if (line.startsWith('-')) cls = 'diff-del';
+    else if (line.startsWith('@@')) cls = 'diff-hunk';
+    return `<span class="${cls}">${escapeHtml(line)}</span>`;
+  }).join('\n');
+}
+
+function renderGitFiles(title, files, kind) {
+  if (files.length === 0) return '';
+  const rows = files.map(file => {
+    const label = file.oldPath ? `${file.oldPath} → ${file.path}` : file.path;
+    const body = file.diff
+      ? `<pre class="git-diff">${renderDiff(file.diff)}</pre>`
+      : `<div class="drawer-empty">${file.status === 'untracked' ? 'New file, not yet added' : 'No textual diff'}</div>`;
+    return `
+      <details class="git-file" data-key="${escapeHtml(kind + ':' + file.path)}">
+        <summary><span class="git-file-status git-${escapeHtml(file.status)}">${escapeHtml(file.status[0].toUpperCase())}</span>${escapeHtml(label)}</summary>
+        ${body}
+      </details>`;
+  }).join('');
+  return `<div class="git-section-title">${title} (${files.length})</div>${rows}`;
+}
+
+function renderGitStatus(status) {
+  const sync = [];
+  if (status.ahead) sync.push(`&#8593;${status.ahead}`);
+  if (status.behind) sync.push(`&#8595;${status.behind}`);
+  const clean = status.staged.length === 0 && status.unstaged.length === 0;
+  return `
+    <div class="git-header">
+      <span class="git-branch">${escapeHtml(status.branch || 'detached')}</span>
+      <span class="git-sync">${sync.join(' ')}</span>
+      <button class="git-refresh-btn" title="Refresh">&#8635;</button>
+    </div>
+    ${clean ? '<div class="drawer-empty">No changes</div>' : ''}
+    ${renderGitFiles('Staged', status.staged, 'staged')}
+    ${renderGitFiles('Unstaged', status.unstaged, 'unstaged')}`;
+}
+
+// --- Files Drawer ---
+// fileBrowsers: Map<sessionId, { expanded: Set<dirPath>, file: path|null }>
+const fileBrowsers = new Map();
+
+function fileBrowserFor(sessionId) {
+  if (!fileBrowsers.has(sessionId)) {
+    fileBrowsers.set(sessionId, { expanded: new Set(), file: null });
+  }
+  return fileBrowsers.get(sessionId);
+}
+
+async function refreshFilesDrawer(sessionId) {
+  if (panelDrawers.get(sessionId) !== 'files') return;
+  const drawer = drawerFor(sessionId);
+  if (!drawer) return;
+  const browser = fileBrowserFor(sessionId);
+
+  try {
+    if (browser.file) {
+      drawer.innerHTML = renderFileView(await apiGetFile(sessionId, browser.file));
+    } else {
+      const root = await apiListFiles(sessionId, '');
+      drawer.innerHTML = `
+        <div class="files-header">
+          <span class="files-path">${escapeHtml(root.workingDir)}</span>
+          <button class="files-refresh-btn" title="Refresh">&#8635;</button>
+        </div>
+        <div class="files-tree">${await renderFileTree(sessionId, root, browser.expanded)}</div>`;
+    }
+  } catch (err) {
+    // A file or folder that vanished: fall back to the tree
+    const stale = browser.file;
+    browser.file = null;
+    drawer.innerHTML = `<div class="drawer-empty">${escapeHtml(err.message)}</div>`;
+    if (stale) setTimeout(() => refreshFilesDrawer(sessionId), 1500);
+    return;
+  }
+
+  drawer.querySelectorAll('[data-dir]').forEach(row => {
+    row.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const dir = row.dataset.dir;
+      if (browser.expanded.has(dir)) browser.expanded.delete(dir);
+      else browser.expanded.add(dir);
+      refreshFilesDrawer(sessionId);
+    });
+  });
+  drawer.querySelectorAll('[data-file]').forEach(row => {
+    row.addEventListener('click', (e) => {
+      e.stopPropagation();
+      browser.file = row.dataset.file;
+      refreshFilesDrawer(sessionId);
+    });
+  });
+  const back = drawer.querySelector('.files-back-btn');
+  if (back) {
+    back.addEventListener('click', (e) => {
+      e.stopPropagation();
+      browser.file = null;
+      refreshFilesDrawer(sessionId);
+    });
+  }
+  const refresh = drawer.querySelector('.files-refresh-btn');
+  if (refresh) {
+    refresh.addEventListener('click', (e) => {
+      e.stopPropagation();
+      refreshFilesDrawer(sessionId);
+    });
+  }
+}
+
+// Nested list of a directory; expanded subdirectories are fetched and inlined
+async function renderFileTree(sessionId, listing, expanded) {
+  const children = await Promise.all(listing.entries.map(entry => {
+    const path = listing.path ? `${listing.path}/${entry.name}` : entry.name;
+    if (entry.type !== 'dir' || !expanded.has(path)) return null;
+    return apiListFiles(sessionId, path).catch(() => {
+      expanded.delete(path);
+      return null;
+    });
+  }));
+
+  const rows = await Promise.all(listing.entries.map(async (entry, i) => {
+    const path = listing.path ? `${listing.path}/${entry.name}` : entry.name;
+    if (entry.type === 'dir') {
+      const open = !!children[i];
+      const nested = open ? await renderFileTree(sessionId, children[i], expanded) : '';
+      return `
+        <li>
+          <div class="files-row files-dir" data-dir="${escapeHtml(path)}">
+            <span class="files-caret">${open ? '&#9662;' : '&#9656;'}</span>${escapeHtml(entry.name)}
+          </div>
+          ${nested}
+        </li>`;
+    }
+    return `
+      <li>
+        <div class="files-row" data-file="${escapeHtml(path)}">
+          <span class="files-caret"></span>${escapeHtml(entry.name)}
+          <span class="files-size">${formatFileSize(entry.size)}</span>
+        </div>
+      </li>`;
+  }));
+
+  const empty = listing.entries.length === 0 ? '<li class="drawer-empty">Empty folder</li>' : '';
+  const more = listing.truncated ? '<li class="drawer-empty">Too many entries; list truncated</li>' : '';
+  return `<ul class="files-list">${rows.join('')}${empty}${more}</ul>`;
+}
+
+function renderFileView(file) {
+  let body;
+  if (file.binary) {
+    body = `<div class="drawer-empty">Binary file, ${formatFileSize(file.size)}</div>`;
+  } else {
+    const note = file.truncated
+      ? `<div class="drawer-empty">Showing the first ${formatFileSize(file.content.length)} of ${formatFileSize(file.size)}</div>`
+      : '';
+    body = `<pre class="files-content">${escapeHtml(file.content)}</pre>${note}`;
+  }
+  return `
+    <div class="files-header">
+      <button class="files-back-btn" title="Back to files">&#8249; Files</button>
+      <span class="files-path">${escapeHtml(file.path)}</span>
+      <button class="files-refresh-btn" title="Refresh">&#8635;</button>
+    </div>
+    ${body}`;
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// --- Recording Playback ---
+const PLAYBACK_IDLE_LIMIT_S = 2; // Long pauses in a recording play back as this
+const PLAYBACK_FRAME_MS = 250; // Max gap between control updates while playing
+
+const playback = {
+  terminal: null,
+  header: null,
+  events: [], // [seconds, type, data], with idle gaps compressed
+  duration: 0,
+  index: 0, // Next event to apply
+  position: 0, // Seconds into the recording
+  playing: false,
+  speed: 1,
+  timer: null,
+  clockStart: 0, // performance.now() when the clock was last rebased
+  clockPosition: 0,
+};
+
+function parseCast(text) {
+  const lines = text.split('\n').filter(Boolean);
+  const header = JSON.parse(lines[0]);
+  const events = [];
+  let lastRaw = 0;
+  let time = 0;
+  for (const line of lines.slice(1)) {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      continue; // Torn line at the end of a live recording
+    }
+    if (!Array.isArray(event)) continue;
+    time += Math.min(Math.max(event[0] - lastRaw, 0), PLAYBACK_IDLE_LIMIT_S);
+    lastRaw = event[0];
+    events.push([time, event[1], event[2]]);
+  }
+  return { header, events };
+}
+
+function formatPlaybackTime(seconds) {
+  const s = Math.floor(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+async function openPlayback(sessionId) {
+  let cast;
+  try {
+    cast = parseCast(await apiGetRecording(sessionId));
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+
+  closePlayback();
+  const session = state.sessions.find(s => s.id === sessionId);
+  document.getElementById('playback-title').textContent = session ? session.name : 'Recording';
+  document.getElementById('playback-view').classList.remove('hidden');
+
+  const container = document.getElementById('playback-terminal');
+  container.innerHTML = '';
+  playback.terminal = new Terminal({
+    cols: cast.header.width,
+    rows: cast.header.height,
+    fontSize: 13,
+    fontFamily: TERMINAL_FONT,
+    theme: TERMINAL_THEME,
+    disableStdin: true,
+  });
+  playback.terminal.open(container);
+  playback.header = cast.header;
+  playback.events = cast.events;
+  playback.duration = cast.events.length ? cast.events[cast.events.length - 1][0] : 0;
+  document.getElementById('playback-seek').max = playback.duration;
+
+  seekPlayback(0);
+  playPlayback();
+}
+
+function closePlayback() {
+  pausePlayback();
+  if (playback.terminal) {
+    playback.terminal.dispose();
+    playback.terminal = null;
+  }
+  playback.events = [];
+  document.getElementById('playback-view').classList.add('hidden');
+}
+
+function applyPlaybackEvent(event) {
+  const [, type, data] = event;
+  if (type === 'o') {
+    playback.terminal.write(data);
+  } else if (type === 'r') {
+    const [cols, rows] = String(data).split('x').map(Number);
+    if (cols && rows) playback.terminal.resize(cols, rows);
+  }
+}
+
+function playbackClock() {
+  return playback.clockPosition + (performance.now() - playback.clockStart) / 1000 * playback.speed;
+}
+
+function rebasePlaybackClock(position) {
+  playback.clockPosition = position;
+  playback.clockStart = performance.now();
+}
+
+function playbackTick() {
+  playback.timer = null;
+  const now = Math.min(playbackClock(), playback.duration);
+  while (playback.index < playback.events.length && playback.events[playback.index][0] <= now) {
+    applyPlaybackEvent(playback.events[playback.index++]);
+  }
+  playback.position = now;
+  updatePlaybackControls();
+
+  if (playback.index >= playback.events.length) {
+    pausePlayback();
+    return;
+  }
+  const wait = (playback.events[playback.index][0] - now) / playback.speed * 1000;
+  playback.timer = setTimeout(playbackTick, Math.min(Math.max(wait, 0), PLAYBACK_FRAME_MS));
+}
+
+function playPlayback() {
+  if (!playback.terminal) return;
+  if (playback.index >= playback.events.length) seekPlayback(0);
+  playback.playing = true;
+  rebasePlaybackClock(playback.position);
+  playbackTick();
+}
+
+function pausePlayback() {
+  if (playback.playing) playback.position = Math.min(playbackClock(), playback.duration);
+  playback.playing = false;
+  clearTimeout(playback.timer);
+  playback.timer = null;
+  updatePlaybackControls();
+}
+
+function togglePlayback() {
+  if (playback.playing) pausePlayback();
+  else playPlayback();
+}
+
+// Redraw from the start up to `position`, batching output between resizes
+function seekPlayback(position) {
+  if (!playback.terminal) return;
+  const term = playback.terminal;
+  term.reset();
+  term.resize(playback.header.width, playback.header.height);
+
+  let output = '';
+  let i = 0;
+  for (; i < playback.events.length && playback.events[i][0] <= position; i++) {
+    const event = playback.events[i];
+    if (event[1] === 'o') {
+      output += event[2];
+    } else {
+      if (output) term.write(output);
+      output = '';
+      applyPlaybackEvent(event);
+    }
+  }
+  if (output) term.write(output);
+
+  playback.index = i;
+  playback.position = position;
+  rebasePlaybackClock(position);
+  if (playback.playing) {
+    clearTimeout(playback.timer);
+    playbackTick();
+  } else {
+    updatePlaybackControls();
+  }
+}
+
+function setPlaybackSpeed(speed) {
+  if (playback.playing) rebasePlaybackClock(Math.min(playbackClock(), playback.duration));
+  playback.speed = speed;
+}
+
+function updatePlaybackControls() {
+  const toggle = document.getElementById('playback-toggle');
+  const seek = document.getElementById('playback-seek');
+  const time = document.getElementById('playback-time');
+  if (toggle) toggle.textContent = playback.playing ? 'Pause' : 'Play';
+  if (seek) seek.value = playback.position;
+  if (time) {
+    time.textContent = `${formatPlaybackTime(playback.position)} / ${formatPlaybackTime(playback.duration)}`;
+  }
+}
+
+// --- Context Menu ---
+function showContextMenu(sessionId, x, y) {
+  const menu = document.getElementById('context-menu');
+  const session = state.sessions.find(s => s.id === sessionId);
   if (!menu || !session) return;
 
   contextMenuTarget = sessionId;
@@ -1232,6 +2787,10 @@ function showContextMenu(sessionId, x, y) {
   const archiveBtn = menu.querySelector('[data-action="archive"]');
   if (archiveBtn) archiveBtn.textContent = session.archived ? 'Unarchive' : 'Archive';
 
+  // Update mute button text
+  const muteBtn = menu.querySelector('[data-action="mute"]');
+  if (muteBtn) muteBtn.textContent = session.muted ? 'Unmute Notifications' : 'Mute Notifications';
+
   // Position menu
   menu.style.left = `${Math.min(x, window.innerWidth - 200)}px`;
   menu.style.top = `${Math.min(y, window.innerHeight - 200)}px`;
@@ -1246,8 +2805,12 @@ function showContextMenu(sessionId, x, y) {
 function closeContextMenu() {
   const menu = document.getElementById('context-menu');
   const picker = document.getElementById('project-picker');
+  const exportPicker = document.getElementById('export-picker');
+  const tagPicker = document.getElementById('tag-picker');
   if (menu) menu.classList.add('hidden');
   if (picker) picker.classList.add('hidden');
+  if (exportPicker) exportPicker.classList.add('hidden');
+  if (tagPicker) tagPicker.classList.add('hidden');
   contextMenuTarget = null;
 }
 
@@ -1267,6 +2830,24 @@ function handleContextMenuAction(action) {
     case 'assign-project':
       showProjectPicker(sessionId);
       break;
+    case 'tags':
+      showTagPicker(sessionId);
+      break;
+    case 'mute':
+      toggleMute(sessionId);
+      break;
+    case 'playback':
+      openPlayback(sessionId);
+      break;
+    case 'export':
+      showExportPicker(sessionId);
+      break;
+    case 'fork':
+      forkSession(sessionId);
+      break;
+    case 'select':
+      startSelectMode(sessionId);
+      break;
     case 'archive':
       toggleArchive(sessionId);
       break;
@@ -1286,10 +2867,65 @@ async function togglePin(sessionId) {
   }
 }
 
+// Fork and show the fork next to the original
+async function forkSession(sessionId) {
+  try {
+    const fork = await apiForkSession(sessionId);
+    fork.unread = false;
+    state.sessions.unshift(fork);
+
+    if (state.activeView !== 'conversation' || !state.panels.includes(sessionId)) {
+      openConversation(sessionId);
+    }
+    addPanel(fork.id);
+  } catch (err) {
+    console.error('Failed to fork session:', err);
+    alert('Failed to fork session: ' + err.message);
+  }
+}
+
+async function toggleMute(sessionId) {
+  const session = state.sessions.find(s => s.id === sessionId);
+  if (!session) return;
+  const newMuted = !session.muted;
+  try {
+    await apiUpdateSessionMeta(sessionId, { muted: newMuted });
+    session.muted = newMuted;
+  } catch (err) {
+    console.error('Failed to toggle mute:', err);
+  }
+}
+
+// Ask what to do with an isolated session's worktree. Resolves to
+// 'merge' | 'keep' | 'remove', or null if the user cancelled.
+function chooseWorktreeAction(session) {
+  const dialog = document.getElementById('worktree-dialog');
+  const text = document.getElementById('worktree-dialog-text');
+  text.textContent = `Branch ${session.worktree.branch} — merge it into ${session.worktree.base}, keep it, or remove it? Merge and Remove stop the session first.`;
+  dialog.classList.remove('hidden');
+
+  return new Promise((resolve) => {
+    const onClick = (e) => {
+      const btn = e.target.closest('[data-choice]');
+      if (!btn) return;
+      dialog.removeEventListener('click', onClick);
+      dialog.classList.add('hidden');
+      resolve(btn.dataset.choice || null);
+    };
+    dialog.addEventListener('click', onClick);
+  });
+}
+
 async function toggleArchive(sessionId) {
   const session = state.sessions.find(s => s.id === sessionId);
   if (!session) return;
   try {
+    if (session.worktree) {
+      const action = await chooseWorktreeAction(session);
+      if (!action) return;
+      // Stop claude before its directory is merged away or deleted
+      if (action !== 'keep') await apiDeleteSession(sessionId, action);
+    }
     await apiUpdateSessionMeta(sessionId, { archived: true });
     state.sessions = state.sessions.filter(s => s.id !== sessionId);
     // If we archived the active session, go home or remove from panels
@@ -1303,6 +2939,7 @@ async function toggleArchive(sessionId) {
     refreshActiveView();
   } catch (err) {
     console.error('Failed to archive:', err);
+    if (session.worktree) alert('Failed to archive: ' + err.message);
   }
 }
 
@@ -1361,6 +2998,49 @@ async function showProjectPicker(sessionId) {
   }
 }
 
+const EXPORT_FORMATS = [
+  { format: 'md', label: 'Markdown' },
+  { format: 'html', label: 'HTML' },
+  { format: 'json', label: 'JSON' },
+];
+
+// Submenu of export formats; the server names the download via Content-Disposition
+function showExportPicker(sessionId) {
+  const picker = document.getElementById('export-picker');
+  const menu = document.getElementById('context-menu');
+  if (!picker) return;
+
+  picker.innerHTML = '';
+  for (const { format, label } of EXPORT_FORMATS) {
+    const btn = document.createElement('button');
+    btn.className = 'context-menu-item';
+    btn.textContent = label;
+    btn.addEventListener('click', () => {
+      picker.classList.add('hidden');
+      const link = document.createElement('a');
+      link.href = `/sessions/${encodeURIComponent(sessionId)}/export?format=${format}`;
+      link.download = '';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    });
+    picker.appendChild(btn);
+  }
+
+  // Open where the context menu was
+  if (menu) {
+    picker.style.left = menu.style.left;
+    picker.style.top = menu.style.top;
+  }
+  picker.classList.remove('hidden');
+
+  setTimeout(() => {
+    document.addEventListener('click', () => {
+      picker.classList.add('hidden');
+    }, { once: true });
+  }, 0);
+}
+
 // --- Project Context Menu ---
 let projectContextTarget = null;
 
@@ -1369,6 +3049,11 @@ function showProjectContextMenu(projectName, x, y) {
   if (!menu) return;
 
   projectContextTarget = projectName;
+
+  const project = state.projects[projectName];
+  const muteBtn = menu.querySelector('[data-action="mute-project"]');
+  if (muteBtn) muteBtn.textContent = project && project.muted ? 'Unmute Notifications' : 'Mute Notifications';
+
   menu.style.left = `${Math.min(x, window.innerWidth - 200)}px`;
   menu.style.top = `${Math.min(y, window.innerHeight - 150)}px`;
   menu.classList.remove('hidden');
@@ -1393,12 +3078,42 @@ function handleProjectContextAction(action) {
     case 'rename-project':
       startProjectRename(name);
       break;
+    case 'mute-project':
+      toggleProjectMute(name);
+      break;
+    case 'broadcast-project':
+      broadcastTo({ project: name }, `Send to all sessions in ${name}`);
+      break;
+    case 'install-hooks':
+      installProjectHooks(name);
+      break;
     case 'delete-project':
       deleteProject(name);
       break;
   }
 }
 
+async function toggleProjectMute(name) {
+  const project = state.projects[name];
+  if (!project) return;
+  try {
+    const updated = await apiUpdateProject(name, { muted: !project.muted });
+    state.projects[name] = updated;
+  } catch (err) {
+    console.error('Failed to toggle project mute:', err);
+  }
+}
+
+async function installProjectHooks(name) {
+  try {
+    const result = await apiInstallHooks(name);
+    alert(`Claude hooks installed in ${result.settingsPath}.\nNew and resumed sessions in this project will report status directly.`);
+  } catch (err) {
+    console.error('Failed to install hooks:', err);
+    alert('Failed to install hooks: ' + err.message);
+  }
+}
+
 async function deleteProject(name) {
   try {
     await apiDeleteProject(name);
@@ -1440,7 +3155,7 @@ function startProjectRename(name) {
     const newName = input.value.trim();
     if (newName && newName !== name) {
       try {
-        await fetch(`/projects/${encodeURIComponent(name)}`, {
+        await apiFetch(`/projects/${encodeURIComponent(name)}`, {
           method: 'PATCH',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({ name: newName }),
@@ -1462,6 +3177,241 @@ function startProjectRename(name) {
   });
 }
 
+// --- Tags ---
+function tagColor(tag) {
+  const meta = state.tags[tag];
+  return (meta && meta.color) || '#636366';
+}
+
+function tagChipsHtml(tags) {
+  if (!tags || tags.length === 0) return '';
+  const chips = tags.map(tag =>
+    `<span class="tag-chip" style="--tag-color: ${escapeHtml(tagColor(tag))}">${escapeHtml(tag)}</span>`
+  ).join('');
+  return `<div class="session-row-tags">${chips}</div>`;
+}
+
+// Filter chips for every tag; click to filter, right-click to manage
+function renderTagBar(bar) {
+  if (!bar) return;
+  if (bar.querySelector('.tag-rename-input')) return; // Don't interrupt a rename
+  const names = Object.keys(state.tags).sort((a, b) => a.localeCompare(b));
+  bar.classList.toggle('hidden', names.length === 0);
+  bar.innerHTML = '';
+
+  for (const name of names) {
+    const chip = document.createElement('button');
+    chip.className = 'tag-chip';
+    chip.classList.toggle('active', state.tagFilter.has(name));
+    chip.style.setProperty('--tag-color', tagColor(name));
+    chip.textContent = name;
+    chip.title = state.tagFilter.has(name) ? 'Stop filtering by this tag' : 'Show only sessions with this tag';
+    chip.addEventListener('click', () => toggleTagFilter(name));
+    chip.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      showTagContextMenu(name, chip, e.clientX, e.clientY);
+    });
+    bar.appendChild(chip);
+  }
+}
+
+function toggleTagFilter(name) {
+  if (state.tagFilter.has(name)) state.tagFilter.delete(name);
+  else state.tagFilter.add(name);
+  refreshActiveView();
+}
+
+async function setSessionTags(sessionId, tags) {
+  const session = state.sessions.find(s => s.id === sessionId);
+  if (!session) return;
+  try {
+    await apiUpdateSessionMeta(sessionId, { tags });
+    session.tags = tags;
+    for (const tag of tags) {
+      if (!state.tags[tag]) scheduleRefresh(); // Created on the server; fetch its color
+    }
+    refreshActiveView();
+  } catch (err) {
+    console.error('Failed to update tags:', err);
+    alert('Failed to update tags: ' + err.message);
+  }
+}
+
+// Submenu of all tags with the session's own checked. Stays open so several
+// can be toggled; the input at the bottom adds a new tag.
+function showTagPicker(sessionId) {
+  const picker = document.getElementById('tag-picker');
+  const session = state.sessions.find(s => s.id === sessionId);
+  if (!picker || !session) return;
+
+  picker.innerHTML = '';
+  const current = session.tags || [];
+  const names = [...new Set([...Object.keys(state.tags), ...current])].sort((a, b) => a.localeCompare(b));
+
+  for (const name of names) {
+    const btn = document.createElement('button');
+    btn.className = 'context-menu-item tag-picker-item';
+    btn.innerHTML = `<span class="tag-picker-check">${current.includes(name) ? '&#10003;' : ''}</span>`
+      + `<span class="tag-picker-dot" style="background: ${escapeHtml(tagColor(name))}"></span>${escapeHtml(name)}`;
+    btn.addEventListener('click', async () => {
+      const tags = session.tags || [];
+      await setSessionTags(sessionId, tags.includes(name) ? tags.filter(t => t !== name) : [...tags, name]);
+      showTagPicker(sessionId);
+    });
+    picker.appendChild(btn);
+  }
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'tag-picker-input';
+  input.placeholder = 'New tag…';
+  input.maxLength = 32;
+  input.addEventListener('keydown', async (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      picker.classList.add('hidden');
+      return;
+    }
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const name = input.value.trim();
+    if (!name) return;
+    const tags = session.tags || [];
+    if (!tags.includes(name)) await setSessionTags(sessionId, [...tags, name]);
+    showTagPicker(sessionId);
+    const next = picker.querySelector('.tag-picker-input');
+    if (next) next.focus();
+  });
+  picker.appendChild(input);
+
+  const wasOpen = !picker.classList.contains('hidden');
+  if (!wasOpen) {
+    // Open where the context menu was
+    const menu = document.getElementById('context-menu');
+    if (menu) {
+      picker.style.left = menu.style.left;
+      picker.style.top = menu.style.top;
+    }
+    picker.classList.remove('hidden');
+    if (names.length === 0) input.focus();
+
+    // Clicks inside the picker stop propagating (see initEventListeners)
+    setTimeout(() => {
+      document.addEventListener('click', () => {
+        picker.classList.add('hidden');
+      }, { once: true });
+    }, 0);
+  }
+}
+
+// --- Tag Context Menu ---
+let tagContextTarget = null; // { name, chip }
+
+function showTagContextMenu(name, chip, x, y) {
+  const menu = document.getElementById('tag-context-menu');
+  if (!menu) return;
+
+  tagContextTarget = { name, chip };
+  menu.style.left = `${Math.min(x, window.innerWidth - 200)}px`;
+  menu.style.top = `${Math.min(y, window.innerHeight - 120)}px`;
+  menu.classList.remove('hidden');
+
+  setTimeout(() => {
+    document.addEventListener('click', closeTagContextMenu, { once: true });
+  }, 0);
+}
+
+function closeTagContextMenu() {
+  const menu = document.getElementById('tag-context-menu');
+  if (menu) menu.classList.add('hidden');
+  tagContextTarget = null;
+}
+
+function handleTagContextAction(action) {
+  if (!tagContextTarget) return;
+  const { name, chip } = tagContextTarget;
+  closeTagContextMenu();
+
+  switch (action) {
+    case 'rename-tag':
+      startTagRename(name, chip);
+      break;
+    case 'color-tag':
+      pickTagColor(name);
+      break;
+    case 'delete-tag':
+      deleteTag(name);
+      break;
+  }
+}
+
+function startTagRename(name, chip) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'tag-rename-input';
+  input.value = name;
+  input.maxLength = 32;
+  chip.textContent = '';
+  chip.appendChild(input);
+  input.focus();
+  input.select();
+
+  let done = false;
+  async function commit() {
+    if (done) return;
+    done = true;
+    const newName = input.value.trim();
+    // Drop the input first so renderTagBar will redraw the bar
+    chip.textContent = newName || name;
+    if (!newName || newName === name) return;
+    try {
+      await apiUpdateTag(name, { name: newName });
+      if (state.tagFilter.delete(name)) state.tagFilter.add(newName);
+      await fetchAndUpdateSessions();
+    } catch (err) {
+      console.error('Failed to rename tag:', err);
+      alert('Failed to rename tag: ' + err.message);
+      chip.textContent = name;
+    }
+  }
+
+  input.addEventListener('blur', commit);
+  input.addEventListener('click', e => e.stopPropagation());
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter') { e.preventDefault(); input.blur(); }
+    if (e.key === 'Escape') { input.value = name; input.blur(); }
+  });
+}
+
+// The native color picker, seeded with the tag's current color
+function pickTagColor(name) {
+  const input = document.getElementById('tag-color-input');
+  if (!input) return;
+  input.value = tagColor(name);
+  input.dataset.tag = name;
+  input.click();
+}
+
+async function setTagColor(name, color) {
+  try {
+    state.tags[name] = await apiUpdateTag(name, { color });
+    refreshActiveView();
+  } catch (err) {
+    console.error('Failed to recolor tag:', err);
+  }
+}
+
+async function deleteTag(name) {
+  try {
+    await apiDeleteTag(name);
+    state.tagFilter.delete(name);
+    await fetchAndUpdateSessions();
+  } catch (err) {
+    console.error('Failed to delete tag:', err);
+  }
+}
+
 // --- Inline Rename ---
 function startInlineRename(sessionId) {
   // Find the session name element in sidebar or recent list
@@ -1518,6 +3468,43 @@ function startInlineRename(sessionId) {
 
 // --- Event Listeners ---
 function initEventListeners() {
+  // Notifications toggle
+  const notifyBtn = document.getElementById('notify-btn');
+  if (notifyBtn) {
+    notifyBtn.addEventListener('click', toggleNotifications);
+  }
+
+  // Login form
+  const loginForm = document.getElementById('login-form');
+  if (loginForm) {
+    loginForm.addEventListener('submit', submitLogin);
+  }
+
+  // Snippet picker
+  const snippetPickerEl = document.getElementById('snippet-picker');
+  snippetPickerEl.addEventListener('keydown', handleSnippetPickerKeydown);
+  snippetPickerEl.addEventListener('click', (e) => {
+    if (e.target === snippetPickerEl) closeSnippetPicker();
+  });
+  document.getElementById('snippet-search').addEventListener('input', () => {
+    snippetPicker.index = 0;
+    renderSnippetList();
+  });
+  document.getElementById('snippet-new-btn').addEventListener('click', () => showSnippetForm(null));
+  document.getElementById('snippet-form-cancel').addEventListener('click', hideSnippetForm);
+  document.getElementById('snippet-form').addEventListener('submit', submitSnippetForm);
+  document.getElementById('config-snippet').addEventListener('click', (e) => {
+    e.preventDefault();
+    openSnippetPickerForContext();
+  });
+
+  // Multi-select bar
+  document.getElementById('select-send-btn').addEventListener('click', () => {
+    const ids = [...state.selectedIds];
+    broadcastTo({ sessions: ids }, `Send to ${ids.length} session${ids.length !== 1 ? 's' : ''}`);
+  });
+  document.getElementById('select-done-btn').addEventListener('click', stopSelectMode);
+
   // Back button
   dom.backBtn.addEventListener('click', () => {
     if (window.history.length > 1) {
@@ -1582,6 +3569,32 @@ function initEventListeners() {
     });
   }
 
+  // Tag picker stays open while tags are toggled
+  document.getElementById('tag-picker').addEventListener('click', e => e.stopPropagation());
+
+  // Context menu actions (tags)
+  const tagMenu = document.getElementById('tag-context-menu');
+  tagMenu.querySelectorAll('.context-menu-item').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      handleTagContextAction(btn.dataset.action);
+    });
+  });
+  const tagColorInput = document.getElementById('tag-color-input');
+  tagColorInput.addEventListener('change', () => {
+    if (tagColorInput.dataset.tag) setTagColor(tagColorInput.dataset.tag, tagColorInput.value);
+  });
+
+  // Recording playback controls
+  document.getElementById('playback-close').addEventListener('click', closePlayback);
+  document.getElementById('playback-toggle').addEventListener('click', togglePlayback);
+  document.getElementById('playback-seek').addEventListener('input', (e) => {
+    seekPlayback(parseFloat(e.target.value) || 0);
+  });
+  document.getElementById('playback-speed').addEventListener('change', (e) => {
+    setPlaybackSpeed(parseFloat(e.target.value) || 1);
+  });
+
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     const meta = e.metaKey || e.ctrlKey;
@@ -1593,14 +3606,19 @@ function initEventListeners() {
       return;
     }
 
+    // Cmd+; -> snippet picker
+    if (meta && e.key === ';') {
+      e.preventDefault();
+      openSnippetPickerForContext();
+      return;
+    }
+
     // Cmd+K -> focus search
     if (meta && e.key === 'k') {
       e.preventDefault();
-      if (state.activeView === 'home') {
-        dom.homeSearch.focus();
-      } else {
-        dom.sidebarSearch.focus();
-      }
+      const input = state.activeView === 'home' ? dom.homeSearch : dom.sidebarSearch;
+      input.focus();
+      input.select();
       return;
     }
 
@@ -1663,6 +3681,15 @@ function initEventListeners() {
     if (e.key === 'Escape') {
       closeContextMenu();
       closeProjectContextMenu();
+      closeTagContextMenu();
+      if (playback.terminal) {
+        closePlayback();
+        return;
+      }
+      if (state.selectMode) {
+        stopSelectMode();
+        return;
+      }
       const config = document.getElementById('new-session-config');
       if (config && !config.classList.contains('hidden')) {
         cancelNewSession();
@@ -1694,6 +3721,7 @@ function init() {
   dom.sidebarHeaderTitle = $('#sidebar-header-title');
 
   initEventListeners();
+  initNotifications();
 
   // Handle browser back/forward
   window.addEventListener('popstate', () => {
@@ -1708,7 +3736,7 @@ function init() {
     }
   });
 
-  startPolling();
+  startEventStream();
 }
 
 document.addEventListener('DOMContentLoaded', init);
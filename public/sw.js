@@ -0,0 +1,43 @@
+/* ============================================
+   aiMessage — Service Worker (Web Push)
+   ============================================ */
+
+// Show a notification for each push, unless a visible window is
+// already looking at that session.
+self.addEventListener('push', (event) => {
+  const data = event.data ? event.data.json() : {};
+  const url = data.url || '/';
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const watching = windows.some(client =>
+      client.visibilityState === 'visible' && new URL(client.url).pathname === url
+    );
+    if (watching) return;
+
+    await self.registration.showNotification(data.title || 'aiMessage', {
+      body: data.body || '',
+      tag: data.sessionId || undefined,
+      renotify: true,
+      data: { url },
+    });
+  })());
+});
+
+// Click: focus an open window and route it to the session, or open a new one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || '/';
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    for (const client of windows) {
+      if ('focus' in client) {
+        await client.focus();
+        client.postMessage({ type: 'open-url', url });
+        return;
+      }
+    }
+    await self.clients.openWindow(url);
+  })());
+});
@@ -0,0 +1,61 @@
+// ── Screen status ────────────────────────────────────────────────────────────
+//
+// Works out what Claude Code is doing from the text of its tmux pane, for
+// sessions without hooks: working, asking for approval, waiting for an answer,
+// showing an error or sitting idle at its prompt.
+
+const SCREEN_TAIL_LINES = 40; // Claude's prompt/dialogs live at the bottom of the pane
+
+const SCREEN_RUNNING_RE = /esc to interrupt|ctrl\+c to interrupt/i;
+const SCREEN_APPROVAL_RE = /Do you want to (?:proceed|make this edit|create|allow|run|fetch|overwrite)|don't ask again|tell Claude what to do differently/i;
+const SCREEN_MENU_RE = /❯\s*\d+\.\s/;
+const SCREEN_MENU_HINT_RE = /Enter to (?:select|confirm|submit)/i;
+const SCREEN_PROMPT_RE = /^\s*[│|]?\s*>\s?/;
+const SCREEN_SHORTCUTS_RE = /\? for shortcuts/;
+const SCREEN_ERROR_RE = /API Error|Request timed out|Connection error|Credit balance is too low|Invalid API key|overloaded_error/i;
+const SCREEN_BORDER_RE = /^[\s╭╮╰╯─│┃━┏┓┗┛|]*$/;
+
+// The bottom SCREEN_TAIL_LINES lines, right-trimmed, ignoring blank lines below the content
+function screenTail(screen) {
+  const lines = screen.split('\n').map(l => l.replace(/\s+$/, ''));
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  return lines.slice(-SCREEN_TAIL_LINES);
+}
+
+// A numbered-choice dialog (❯ 1. …). Reads as needs-input, but typed text
+// would pick an option instead of answering, so queued prompts hold off.
+function isChoiceMenu(text) {
+  return SCREEN_MENU_RE.test(text) && SCREEN_MENU_HINT_RE.test(text);
+}
+
+// Classify the rendered Claude Code screen. Returns null when nothing
+// recognizable is on screen so callers can fall back to output timing.
+function detectScreenStatus(screen) {
+  const tail = screenTail(screen);
+  const text = tail.join('\n');
+
+  if (SCREEN_RUNNING_RE.test(text)) return 'running';
+  if (SCREEN_APPROVAL_RE.test(text)) return 'awaiting-approval';
+  if (isChoiceMenu(text)) return 'needs-input';
+
+  // Input box: find the prompt line, then look at what Claude said just above it
+  let promptIdx = -1;
+  for (let i = tail.length - 1; i >= 0; i--) {
+    if (SCREEN_PROMPT_RE.test(tail[i])) {
+      promptIdx = i;
+      break;
+    }
+  }
+  if (promptIdx === -1 && !SCREEN_SHORTCUTS_RE.test(text)) return null;
+
+  const above = tail.slice(0, promptIdx === -1 ? tail.length : promptIdx)
+    .filter(l => l.trim() && !SCREEN_BORDER_RE.test(l));
+  const lastBlock = above.slice(-6).join('\n');
+  const lastLine = above.length ? above[above.length - 1].trim() : '';
+
+  if (SCREEN_ERROR_RE.test(lastBlock)) return 'error';
+  if (lastLine.endsWith('?')) return 'needs-input';
+  return 'idle';
+}
+
+module.exports = { detectScreenStatus, isChoiceMenu, screenTail };
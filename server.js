@@ -6,7 +6,11 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const url = require('url');
-const { execSync } = require('child_process');
+const { execFile } = require('child_process');
+const webpush = require('web-push');
+const { TmuxControl } = require('./tmux');
+const { MetaStore, writeFileAtomic } = require('./meta');
+const { detectScreenStatus, isChoiceMenu, screenTail } = require('./screen-status');
 
 // ── Ensure claude and other tools are in PATH ───────────────────────────────
 const HOME = process.env.HOME || '/Users/maxwraae';
@@ -28,16 +32,62 @@ for (const p of extraPaths) {
 const PORT = process.env.PORT || 8080;
 const HOST = '0.0.0.0';
 const CLAUDE_PROJECTS_DIR = path.join(process.env.HOME, '.claude', 'projects');
-const SCROLLBACK_SIZE = 100 * 1024; // 100KB circular buffer per session
+const SCROLLBACK_SIZE = Number(process.env.AIMESSAGE_SCROLLBACK_SIZE) || 100 * 1024; // In-memory buffer per session
+const SCROLLBACK_LOG_SIZE = Number(process.env.AIMESSAGE_SCROLLBACK_LOG_SIZE) || 1024 * 1024; // Rotate on-disk log past this
+const SCROLLBACK_FLUSH_MS = 1000; // Batch pty output before appending to disk
+const RECORDING_MAX_SIZE = Number(process.env.AIMESSAGE_RECORDING_MAX_SIZE) || 50 * 1024 * 1024; // Stop recording a session past this
 const IDLE_TIMEOUT_MS = 30 * 1000; // 30 seconds no output = idle
 const STATUS_CHECK_INTERVAL_MS = 5000; // Check status every 5 seconds
+const EXTERNAL_SESSION_TTL_MS = 60 * 60 * 1000; // Forget hook-only sessions after an hour without events
+const SCREEN_CHECK_THROTTLE_MS = 750; // Min gap between screen captures per session after output
 const SESSION_CACHE_TTL_MS = 5000; // Re-read from disk every 5 seconds
+const TRANSCRIPT_PAGE_SIZE = 200; // Default messages per /transcript page
+const TRANSCRIPT_MAX_PAGE_SIZE = 1000;
+const JSONL_CHUNK_SIZE = 64 * 1024; // Read size when streaming through .jsonl files
+const SEARCH_MAX_BLOCK_CHARS = 4000; // Indexed text per content block (tool output can be huge)
+const SEARCH_RESULT_LIMIT = 20; // Sessions per /search response
+const SEARCH_SNIPPETS_PER_SESSION = 3;
+const SEARCH_RESCAN_INTERVAL_MS = 60 * 1000; // Fallback rescan when fs.watch misses changes
+const EVENT_HEARTBEAT_MS = 25 * 1000; // Keep idle /events streams alive through proxies
+const SESSION_UPDATE_THROTTLE_MS = 1000; // Max rate of preview updates pushed per session
+const SESSIONS_CHANGED_THROTTLE_MS = 5000; // Max rate of refetch hints for on-disk changes
+const NOTIFY_REPEAT_MS = 30 * 1000; // Don't re-notify the same session+status within this window
+const PROMPT_SUBMIT_DELAY_MS = 100; // Gap between typing a prompt and pressing Enter
+const QUEUE_SETTLE_MS = 3000; // Min gap after input before the next queued prompt goes in
+const KEY_GAP_MS = 50; // Between control keys, so each registers as its own keypress
+const INPUT_WAIT_DEFAULT_MS = 5 * 60 * 1000; // POST /input with wait: give up after this
+const INPUT_WAIT_MAX_MS = 30 * 60 * 1000;
+const INPUT_WAIT_POLL_MS = 500;
 const ANSI_STRIP_RE = /\x1B\[[0-9;]*[a-zA-Z]/g;
+const AUTH_COOKIE = 'aimessage_session';
+const AUTH_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Login lasts 30 days
+const AUTH_MAX_FAILURES = 10; // Wrong passphrases (login or bearer) per IP before lockout
+const AUTH_LOCKOUT_MS = 15 * 60 * 1000;
+const GIT_TIMEOUT_MS = 30 * 1000;
+const GIT_MAX_BUFFER = 16 * 1024 * 1024; // Diffs of big refactors get large
+const GIT_DIFF_MAX_CHARS = 200 * 1024; // Per-file diff sent to the browser
+const FILE_LIST_LIMIT = 1000; // Entries per directory listing
+const FILE_VIEW_MAX_SIZE = 512 * 1024; // Bytes of a file sent to the viewer
+const FILE_BINARY_SNIFF = 8000; // A NUL byte in this prefix means binary (git's heuristic)
+const TAG_NAME_MAX = 32;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000; // Per delivery attempt
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE_MS = 5 * 1000; // Doubles after each failed attempt
+const WEBHOOK_STATUS_SETTLE_MS = 3 * 1000; // A status must hold this long before session.status is sent
 
 // ── Metadata layer ───────────────────────────────────────────────────────────
 
 const META_DIR = path.join(process.env.HOME, '.config', 'aimessage');
 const META_FILE = path.join(META_DIR, 'meta.json');
+const META_BACKUP_DIR = path.join(META_DIR, 'backups');
+const AUTH_FILE = path.join(META_DIR, 'auth.json');
+const VAPID_FILE = path.join(META_DIR, 'vapid.json');
+const PUSH_FILE = path.join(META_DIR, 'push-subscriptions.json');
+const SNIPPETS_FILE = path.join(META_DIR, 'snippets.json');
+const SCROLLBACK_DIR = path.join(META_DIR, 'scrollback');
+const RECORDINGS_DIR = path.join(META_DIR, 'recordings');
+const WORKTREE_DIR = process.env.AIMESSAGE_WORKTREE_DIR || path.join(META_DIR, 'worktrees');
+const PRICES_FILE = process.env.AIMESSAGE_PRICES || path.join(META_DIR, 'prices.json');
 
 const PROJECT_COLORS = [
   '#FF6B6B', '#FF9F43', '#FECA57', '#48DBFB', '#0ABDE3',
@@ -51,26 +101,185 @@ function ensureMetaDir() {
   }
 }
 
+// meta.json with backups, recovery and migrations (see meta.js)
+const metaStore = new MetaStore(META_FILE, META_BACKUP_DIR);
+
 function loadMeta() {
+  return metaStore.load();
+}
+
+// Load, change and save in one step. `mutate` must be synchronous; return
+// false to skip the save.
+function updateMeta(mutate) {
+  return metaStore.update(mutate);
+}
+
+// Read-only meta for hot paths such as status changes. Don't mutate it.
+function cachedMeta() {
+  return metaStore.cached();
+}
+
+// ── Authentication ───────────────────────────────────────────────────────────
+
+// The passphrase comes from AIMESSAGE_PASSPHRASE, falling back to auth.json.
+// If neither exists, one is generated on first run and printed at startup.
+// The cookie signing secret always lives in auth.json.
+function loadAuthConfig() {
+  ensureMetaDir();
+  let stored = {};
   try {
-    if (!fs.existsSync(META_FILE)) {
-      return { version: 1, projects: {}, sessions: {} };
+    if (fs.existsSync(AUTH_FILE)) {
+      stored = JSON.parse(fs.readFileSync(AUTH_FILE, 'utf-8'));
     }
-    const raw = fs.readFileSync(META_FILE, 'utf-8');
-    return JSON.parse(raw);
   } catch (err) {
-    console.error('Failed to load meta.json:', err.message);
-    return { version: 1, projects: {}, sessions: {} };
+    console.error('Failed to load auth.json:', err.message);
+  }
+
+  let changed = false;
+  let generated = false;
+  if (!stored.secret) {
+    stored.secret = crypto.randomBytes(32).toString('hex');
+    changed = true;
+  }
+  if (!stored.hookToken) {
+    stored.hookToken = crypto.randomBytes(24).toString('hex');
+    changed = true;
+  }
+  if (!process.env.AIMESSAGE_PASSPHRASE && !stored.passphrase) {
+    stored.passphrase = crypto.randomBytes(12).toString('base64url');
+    changed = true;
+    generated = true;
+  }
+
+  if (changed) {
+    try {
+      writeFileAtomic(AUTH_FILE, JSON.stringify(stored, null, 2), 0o600);
+    } catch (err) {
+      console.error('Failed to save auth.json:', err.message);
+    }
   }
+
+  return {
+    passphrase: process.env.AIMESSAGE_PASSPHRASE || stored.passphrase,
+    secret: stored.secret,
+    hookToken: stored.hookToken,
+    generated,
+  };
 }
 
-function saveMeta(meta) {
-  ensureMetaDir();
+const authConfig = loadAuthConfig();
+
+// loginFailures: Map<ip, { count, since }> — brute-force protection for the
+// passphrase, whether it arrives at /auth/login or as a bearer token
+const loginFailures = new Map();
+
+function isLockedOut(ip) {
+  const failures = loginFailures.get(ip);
+  if (failures && Date.now() - failures.since > AUTH_LOCKOUT_MS) {
+    loginFailures.delete(ip);
+    return false;
+  }
+  return !!failures && failures.count >= AUTH_MAX_FAILURES;
+}
+
+function recordAuthFailure(ip) {
+  const entry = loginFailures.get(ip) || { count: 0, since: Date.now() };
+  entry.count++;
+  loginFailures.set(ip, entry);
+}
+
+function safeEqual(a, b) {
+  // Hash first so timingSafeEqual always compares equal-length buffers
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+// Signature covers the passphrase too, so changing it logs everyone out
+function signAuthToken(expires) {
+  return crypto.createHmac('sha256', authConfig.secret)
+    .update(`${expires}:${authConfig.passphrase}`)
+    .digest('base64url');
+}
+
+function createAuthToken() {
+  const expires = Date.now() + AUTH_SESSION_TTL_MS;
+  return `${expires}.${signAuthToken(expires)}`;
+}
+
+function verifyAuthToken(token) {
+  if (!token) return false;
+  const [expiresStr, sig] = token.split('.');
+  const expires = Number(expiresStr);
+  if (!expires || !sig || expires < Date.now()) return false;
+  return safeEqual(sig, signAuthToken(expires));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    const key = part.slice(0, idx).trim();
+    const value = part.slice(idx + 1).trim();
+    try {
+      cookies[key] = decodeURIComponent(value);
+    } catch {
+      cookies[key] = value;
+    }
+  }
+  return cookies;
+}
+
+// Accepts either the session cookie (browser) or the passphrase as a
+// bearer token (scripts). Works on both Express requests and raw upgrade requests.
+// Wrong bearer tokens count towards the same per-IP lockout as logins.
+function isAuthenticated(req) {
+  const cookies = parseCookies(req.headers.cookie);
+  if (verifyAuthToken(cookies[AUTH_COOKIE])) return true;
+
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!bearer) return false;
+  const ip = req.socket.remoteAddress;
+  if (isLockedOut(ip)) return false;
+  if (!safeEqual(bearer[1].trim(), authConfig.passphrase)) {
+    recordAuthFailure(ip);
+    return false;
+  }
+  loginFailures.delete(ip);
+  return true;
+}
+
+// Browsers always send Origin on WebSocket handshakes; reject cross-site ones
+function isSameOrigin(req) {
+  const origin = req.headers.origin;
+  if (!origin) return true; // Non-browser clients
   try {
-    fs.writeFileSync(META_FILE, JSON.stringify(meta, null, 2), 'utf-8');
-  } catch (err) {
-    console.error('Failed to save meta.json:', err.message);
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (isAuthenticated(req)) return next();
+  if (isLockedOut(req.socket.remoteAddress)) {
+    return res.status(429).json({ error: 'Too many failed attempts, try again later' });
   }
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+function authCookie(req, value, maxAgeMs) {
+  const parts = [
+    `${AUTH_COOKIE}=${encodeURIComponent(value)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+  ];
+  if (req.secure) parts.push('Secure');
+  return parts.join('; ');
 }
 
 // ── State ────────────────────────────────────────────────────────────────────
@@ -341,6 +550,7 @@ function loadSessionIndex(includeArchived = false) {
       createdAt: entry.created,
       lastActivity: active ? active.lastActivity : entry.modified,
       preview: active ? (active.preview || preview) : preview,
+      lastTool: active ? (active.lastTool || null) : null,
       workingDir: entry.projectPath,
       messageCount: entry.messageCount,
     };
@@ -362,9 +572,15 @@ function loadSessionIndex(includeArchived = false) {
       entry.group = sessionMeta.project;
     }
 
-    // Add pin/archive flags
+    // Add pin/archive/mute flags
     entry.pinned = sessionMeta.pinned || false;
     entry.archived = sessionMeta.archived || false;
+    entry.muted = sessionMeta.muted || false;
+    entry.forkOf = sessionMeta.forkOf || null;
+    entry.tags = sessionMeta.tags || [];
+    entry.worktree = sessionMeta.worktree || null;
+    entry.queue = promptQueues.get(entry.id) || [];
+    entry.usage = sessionUsage.has(entry.id) ? summarizeUsage(usageRecords(entry.id)) : null;
 
     // Add project color if project exists in meta
     const projectMeta = meta.projects[entry.group];
@@ -397,238 +613,2699 @@ function invalidateSessionCache() {
   sessionCacheTime = 0;
 }
 
-// ── Scrollback buffer ────────────────────────────────────────────────────────
-
-function appendScrollback(id, data) {
-  const buf = scrollbackBuffers.get(id) || Buffer.alloc(0);
-  const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
-  let combined = Buffer.concat([buf, chunk]);
-  if (combined.length > SCROLLBACK_SIZE) {
-    combined = combined.slice(combined.length - SCROLLBACK_SIZE);
-  }
-  scrollbackBuffers.set(id, combined);
+// A session by id, archived or not, including ones too new to have a .jsonl
+function findSession(id) {
+  return loadSessionIndex(true).find(s => s.id === id) || activeSessions.get(id);
 }
 
-// ── Preview text ─────────────────────────────────────────────────────────────
-
-// Patterns that indicate terminal metadata rather than conversation content
-const TERMINAL_JUNK_RE = /(\[ws-[0-9a-f]+|Claude Code"|\\x1b\[|\u001b\[|\[0,0\]|ESC\[|\[\d+,\d+\])/i;
-
-function isTerminalMetadata(line) {
-  if (!line || !line.trim()) return true;
-  // tmux pane title format: [ws-<id>:...]
-  if (/^\[ws-[0-9a-f]/.test(line)) return true;
-  // Contains Claude Code terminal title
-  if (/Claude Code"/.test(line)) return true;
-  // Contains ANSI escape sequences (raw or unicode)
-  if (/\x1b\[|\u001b\[/.test(line)) return true;
-  // Contains terminal coordinate patterns like [0,0]
-  if (/\[\d+,\d+\]/.test(line)) return true;
-  // tmux status bar patterns
-  if (/^\s*\d+:\d+\s*\[/.test(line)) return true;
-  return false;
+// findSession without the disk scan, for hot paths: the last built index
+// (possibly a few seconds old, archived sessions missing) or runtime state
+function peekSession(id) {
+  return (sessionCache && sessionCache.find(s => s.id === id)) || activeSessions.get(id);
 }
 
-function updatePreview(id, rawData) {
-  const session = activeSessions.get(id);
-  if (!session) return;
-
-  const text = typeof rawData === 'string' ? rawData : rawData.toString('utf-8');
-  const stripped = text.replace(ANSI_STRIP_RE, '');
-  const lines = stripped.split('\n')
-    .map(l => l.trim())
-    .filter(l => l.length > 0 && !isTerminalMetadata(l));
+// ── Transcript ───────────────────────────────────────────────────────────────
 
-  if (lines.length > 0) {
-    session.preview = lines[lines.length - 1].substring(0, 150);
+// Locate the Claude Code .jsonl for a session across all project dirs
+function findSessionFile(sessionId) {
+  if (!/^[\w-]+$/.test(sessionId)) return null;
+  let projectDirs;
+  try {
+    projectDirs = fs.readdirSync(CLAUDE_PROJECTS_DIR);
+  } catch {
+    return null;
+  }
+  for (const dir of projectDirs) {
+    const jsonlPath = path.join(CLAUDE_PROJECTS_DIR, dir, `${sessionId}.jsonl`);
+    if (fs.existsSync(jsonlPath)) return jsonlPath;
   }
+  return null;
 }
 
-// ── tmux / pty ───────────────────────────────────────────────────────────────
+// Yields { line, next } for each complete line from byte offset `start`.
+// `next` is the byte offset just past the line, usable as a resume cursor.
+// A trailing line without a newline is still being written and is skipped.
+function* readJsonlLines(jsonlPath, start) {
+  const fd = fs.openSync(jsonlPath, 'r');
+  try {
+    const buf = Buffer.alloc(JSONL_CHUNK_SIZE);
+    let pos = start;
+    let carry = Buffer.alloc(0);
+    let carryStart = start;
+
+    while (true) {
+      const bytesRead = fs.readSync(fd, buf, 0, buf.length, pos);
+      if (bytesRead === 0) break;
+      pos += bytesRead;
+
+      const data = Buffer.concat([carry, buf.subarray(0, bytesRead)]);
+      let lineStart = 0;
+      let nl;
+      while ((nl = data.indexOf(0x0a, lineStart)) !== -1) {
+        yield { line: data.toString('utf-8', lineStart, nl), next: carryStart + nl + 1 };
+        lineStart = nl + 1;
+      }
+      carry = data.subarray(lineStart);
+      carryStart += lineStart;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
 
-function tmuxName(id) {
-  return `ws-${id}`;
+// Flatten message content (string or content blocks) to plain text
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(block => {
+    if (!block) return '';
+    if (block.type === 'text') return block.text || '';
+    if (block.type === 'image') return '[image]';
+    return '';
+  }).filter(Boolean).join('\n');
 }
 
-function tmuxSessionExists(id) {
-  try {
-    execSync(`tmux has-session -t ${tmuxName(id)} 2>/dev/null`);
-    return true;
-  } catch {
-    return false;
+// Turn one jsonl entry into typed transcript messages. tool_result blocks are
+// attached to their tool_use message via `pendingTools` when it is on this page.
+function transcriptMessages(obj, pendingTools) {
+  if (obj.type !== 'user' && obj.type !== 'assistant') return [];
+  if (obj.isMeta || !obj.message) return [];
+
+  const base = {
+    uuid: obj.uuid || null,
+    timestamp: obj.timestamp || null,
+    isSidechain: !!obj.isSidechain,
+  };
+  const content = obj.message.content;
+
+  if (typeof content === 'string') {
+    if (!content.trim()) return [];
+    return [{ type: obj.type, ...base, text: content }];
+  }
+  if (!Array.isArray(content)) return [];
+
+  const messages = [];
+  for (const block of content) {
+    if (!block) continue;
+
+    if (block.type === 'text' && block.text && block.text.trim()) {
+      const msg = { type: obj.type, ...base, text: block.text };
+      if (obj.type === 'assistant') msg.model = obj.message.model || null;
+      messages.push(msg);
+    } else if (block.type === 'tool_use') {
+      const msg = {
+        type: 'tool_use',
+        ...base,
+        toolUseId: block.id,
+        name: block.name,
+        input: block.input || {},
+        result: null,
+      };
+      pendingTools.set(block.id, msg);
+      messages.push(msg);
+    } else if (block.type === 'tool_result') {
+      const result = {
+        timestamp: base.timestamp,
+        content: contentToText(block.content),
+        isError: !!block.is_error,
+      };
+      const toolUse = pendingTools.get(block.tool_use_id);
+      if (toolUse) {
+        toolUse.result = result;
+        pendingTools.delete(block.tool_use_id);
+      } else {
+        // Its tool_use was on an earlier page
+        messages.push({ type: 'tool_result', ...base, toolUseId: block.tool_use_id, ...result });
+      }
+    }
   }
+  return messages;
 }
 
-function reattachSession(id, workingDir) {
-  if (!tmuxSessionExists(id)) return false;
-
-  const cwd = workingDir || process.env.HOME;
-  const cols = 200;
-  const rows = 50;
+function isToolResultFor(obj, pendingTools) {
+  if (obj.type !== 'user' || !obj.message || !Array.isArray(obj.message.content)) return false;
+  return obj.message.content.some(b => b && b.type === 'tool_result' && pendingTools.has(b.tool_use_id));
+}
 
-  const proc = pty.spawn('tmux', ['attach-session', '-t', tmuxName(id)], {
-    name: 'xterm-256color',
-    cols,
-    rows,
-    cwd,
-    env: process.env,
-  });
+// Read one page of messages starting at byte offset `cursor`. Pages end at
+// `limit` messages, except that a trailing tool call keeps its result.
+function readTranscriptPage(jsonlPath, cursor, limit) {
+  const size = fs.statSync(jsonlPath).size;
+  const messages = [];
+  const pendingTools = new Map();
+  let nextCursor = Math.min(cursor, size);
+
+  for (const { line, next } of readJsonlLines(jsonlPath, nextCursor)) {
+    let obj = null;
+    if (line.trim()) {
+      try {
+        obj = JSON.parse(line);
+      } catch {
+        obj = null; // Skip malformed lines
+      }
+    }
 
-  ptyProcesses.set(id, proc);
+    if (messages.length >= limit) {
+      if (!obj || !isToolResultFor(obj, pendingTools)) break;
+    }
 
-  // Ensure active session tracking exists
-  if (!activeSessions.has(id)) {
-    activeSessions.set(id, {
-      id,
-      status: 'idle',
-      lastActivity: new Date().toISOString(),
-      preview: null,
-      workingDir: cwd,
-    });
+    nextCursor = next;
+    if (obj) messages.push(...transcriptMessages(obj, pendingTools));
   }
 
-  setupPtyListeners(id, proc);
-  lastOutputTime.set(id, Date.now());
-  return true;
+  return {
+    messages,
+    nextCursor,
+    hasMore: nextCursor < size,
+    size,
+  };
 }
 
-function spawnSession(id, workingDir) {
-  const cols = 200;
-  const rows = 50;
-  const cwd = workingDir || process.env.HOME;
-  const name = tmuxName(id);
+// ── Transcript export ────────────────────────────────────────────────────────
 
-  // Spawn tmux with claude inside via node-pty
-  const proc = pty.spawn(
-    'tmux',
-    [
-      'new-session', '-d', '-s', name, '-x', String(cols), '-y', String(rows),
-      'claude', '--dangerously-skip-permissions',
-    ],
-    {
-      name: 'xterm-256color',
-      cols,
-      rows,
-      cwd,
-      env: process.env,
-    }
-  );
+const EXPORT_FORMATS = {
+  md: { type: 'text/markdown; charset=utf-8', render: renderTranscriptMarkdown },
+  html: { type: 'text/html; charset=utf-8', render: renderTranscriptHtml },
+  json: { type: 'application/json; charset=utf-8', render: (info, messages) => JSON.stringify({ session: info, messages }, null, 2) },
+};
 
-  // tmux new-session -d exits immediately. Attach after a short delay.
-  proc.onExit(() => {
-    try { execSync(`tmux set-option -t "${name}" status off 2>/dev/null`); } catch (_) {}
-    setTimeout(() => {
-      const attachProc = pty.spawn('tmux', ['attach-session', '-t', name], {
-        name: 'xterm-256color',
-        cols,
-        rows,
-        cwd,
-        env: process.env,
-      });
-      ptyProcesses.set(id, attachProc);
-      setupPtyListeners(id, attachProc);
-    }, 300);
-  });
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-function setupPtyListeners(id, proc) {
-  proc.onData((data) => {
-    const session = activeSessions.get(id);
-    if (!session) return;
+// Code fence longer than any backtick run inside, so content can't close it
+function mdFence(text, lang) {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${lang || ''}\n${text}\n${fence}`;
+}
 
-    const now = Date.now();
-    session.lastActivity = new Date().toISOString();
-    session.status = 'running';
-    lastOutputTime.set(id, now);
+function toolInputText(input) {
+  return JSON.stringify(input || {}, null, 2);
+}
 
-    appendScrollback(id, data);
-    updatePreview(id, data);
-    broadcastRaw(id, data);
-  });
+function renderTranscriptMarkdown(info, messages) {
+  // JSON strings are valid YAML double-quoted scalars
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(info.name)}`,
+    `session: ${info.id}`,
+    `project: ${info.group ? JSON.stringify(info.group) : 'null'}`,
+    `workingDir: ${info.workingDir ? JSON.stringify(info.workingDir) : 'null'}`,
+    `exported: ${info.exportedAt}`,
+    '---',
+    '',
+    `# ${info.name}`,
+    '',
+  ];
+
+  for (const msg of messages) {
+    if (msg.type === 'user' || msg.type === 'assistant') {
+      lines.push(`## ${msg.type === 'user' ? 'User' : 'Assistant'}`, '', msg.text, '');
+    } else if (msg.type === 'tool_use') {
+      lines.push('<details>', `<summary>${escapeHtml(describeToolUse(msg.name, msg.input))}</summary>`, '');
+      lines.push(mdFence(toolInputText(msg.input), 'json'), '');
+      if (msg.result) {
+        lines.push(msg.result.isError ? '**Error**' : '**Result**', '', mdFence(msg.result.content), '');
+      }
+      lines.push('</details>', '');
+    } else if (msg.type === 'tool_result') {
+      lines.push('<details>', `<summary>Tool result</summary>`, '', mdFence(msg.content), '', '</details>', '');
+    }
+  }
+  return lines.join('\n');
+}
 
-  proc.onExit(({ exitCode }) => {
-    const session = activeSessions.get(id);
-    if (session) {
-      session.status = exitCode === 0 ? 'done' : 'error';
-      session.lastActivity = new Date().toISOString();
+function renderTranscriptHtml(info, messages) {
+  const body = messages.map((msg) => {
+    if (msg.type === 'user' || msg.type === 'assistant') {
+      return `<section class="msg ${msg.type}"><h2>${msg.type === 'user' ? 'User' : 'Assistant'}</h2><pre>${escapeHtml(msg.text)}</pre></section>`;
     }
-    ptyProcesses.delete(id);
-    lastOutputTime.delete(id);
-    lastInputTime.delete(id);
-    invalidateSessionCache();
+    if (msg.type === 'tool_use') {
+      const result = msg.result
+        ? `<h3>${msg.result.isError ? 'Error' : 'Result'}</h3><pre>${escapeHtml(msg.result.content)}</pre>`
+        : '';
+      return `<details class="tool"><summary>${escapeHtml(describeToolUse(msg.name, msg.input))}</summary><h3>Input</h3><pre>${escapeHtml(toolInputText(msg.input))}</pre>${result}</details>`;
+    }
+    if (msg.type === 'tool_result') {
+      return `<details class="tool"><summary>Tool result</summary><pre>${escapeHtml(msg.content)}</pre></details>`;
+    }
+    return '';
+  }).join('\n');
+
+  const meta = [['Session', info.id], ['Project', info.group], ['Directory', info.workingDir], ['Exported', info.exportedAt]]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(info.name)}</title>
+<meta name="aimessage-session" content="${escapeHtml(info.id)}">
+<style>
+  body { font: 14px/1.5 -apple-system, BlinkMacSystemFont, sans-serif; max-width: 860px; margin: 32px auto; padding: 0 16px; color: #1a1a1a; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; color: #6b6b6b; }
+  dd { margin: 0; }
+  h2 { font-size: 13px; text-transform: uppercase; letter-spacing: 0.04em; color: #6b6b6b; margin: 24px 0 4px; }
+  h3 { font-size: 12px; color: #6b6b6b; margin: 8px 0 4px; }
+  pre { white-space: pre-wrap; word-wrap: break-word; margin: 0; font: inherit; }
+  .tool pre, .tool summary { font: 12px/1.4 'SF Mono', Menlo, monospace; }
+  .user pre { background: #007AFF; color: #fff; padding: 8px 12px; border-radius: 12px; }
+  .tool { margin: 8px 0; padding: 6px 10px; background: #f5f5f5; border-radius: 8px; }
+  .tool summary { cursor: pointer; color: #0e7490; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(info.name)}</h1>
+<dl>${meta}</dl>
+${body}
+</body>
+</html>
+`;
+}
 
-    const exitMsg = `\r\n\x1B[31m[Process exited with code ${exitCode}]\x1B[0m\r\n`;
-    broadcastRaw(id, exitMsg);
-  });
+// ── Search index ─────────────────────────────────────────────────────────────
+
+// searchDocs: Map<sessionId, { path, offset, mtimeMs, entries: [{ type, timestamp, text }], tokens: Set }>
+// Files are indexed incrementally: only bytes past `offset` are read on change.
+const searchDocs = new Map();
+// searchTokens: Map<token, Set<sessionId>> — inverted index for candidate lookup
+const searchTokens = new Map();
+const searchQueue = new Set(); // jsonl paths waiting to be (re)indexed
+let searchQueueRunning = false;
+
+const SEARCH_TOKEN_RE = /[\p{L}\p{N}_]{2,}/gu;
+
+function tokenize(text) {
+  return (text.toLowerCase().match(SEARCH_TOKEN_RE) || []);
 }
 
-// ── Status detection (for active pty sessions) ───────────────────────────────
+// Searchable text for one jsonl entry: prompts, replies, tool calls and output
+function searchEntriesFor(obj) {
+  if (obj.type !== 'user' && obj.type !== 'assistant') return [];
+  if (obj.isMeta || !obj.message) return [];
+  const content = obj.message.content;
+  const timestamp = obj.timestamp || null;
+  const clip = (text) => text.substring(0, SEARCH_MAX_BLOCK_CHARS);
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, session] of activeSessions) {
-    if (session.status === 'done' || session.status === 'error') continue;
-    if (!ptyProcesses.has(id)) {
-      if (session.status !== 'error') {
-        session.status = 'error';
-      }
-      continue;
+  if (typeof content === 'string') {
+    return content.trim() ? [{ type: obj.type, timestamp, text: clip(content) }] : [];
+  }
+  if (!Array.isArray(content)) return [];
+
+  const entries = [];
+  for (const block of content) {
+    if (!block) continue;
+    if (block.type === 'text' && block.text && block.text.trim()) {
+      entries.push({ type: obj.type, timestamp, text: clip(block.text) });
+    } else if (block.type === 'tool_use') {
+      entries.push({ type: 'tool_use', timestamp, text: clip(`${block.name} ${JSON.stringify(block.input || {})}`) });
+    } else if (block.type === 'tool_result') {
+      const text = contentToText(block.content);
+      if (text.trim()) entries.push({ type: 'tool_result', timestamp, text: clip(text) });
     }
+  }
+  return entries;
+}
 
-    const lastOut = lastOutputTime.get(id) || 0;
-    const elapsed = now - lastOut;
+function removeFromSearchIndex(sessionId) {
+  const doc = searchDocs.get(sessionId);
+  if (!doc) return;
+  for (const token of doc.tokens) {
+    const ids = searchTokens.get(token);
+    if (!ids) continue;
+    ids.delete(sessionId);
+    if (ids.size === 0) searchTokens.delete(token);
+  }
+  searchDocs.delete(sessionId);
+}
 
-    if (elapsed > IDLE_TIMEOUT_MS && session.status === 'running') {
-      session.status = 'idle';
-    }
+function indexSessionFile(jsonlPath) {
+  const sessionId = path.basename(jsonlPath, '.jsonl');
+  let stat;
+  try {
+    stat = fs.statSync(jsonlPath);
+  } catch {
+    // File was deleted
+    removeFromSearchIndex(sessionId);
+    forgetUsage(sessionId);
+    return;
   }
-}, STATUS_CHECK_INTERVAL_MS);
 
-// ── WebSocket broadcast ──────────────────────────────────────────────────────
+  let doc = searchDocs.get(sessionId);
+  if (doc && (doc.path !== jsonlPath || stat.size < doc.offset)) {
+    // Truncated or rewritten: start over
+    removeFromSearchIndex(sessionId);
+    forgetUsage(sessionId); // Re-read along with the text below
+    doc = null;
+  }
+  if (!doc) {
+    doc = { path: jsonlPath, offset: 0, mtimeMs: 0, entries: [], tokens: new Set() };
+    searchDocs.set(sessionId, doc);
+  }
+  if (stat.size === doc.offset) {
+    doc.mtimeMs = stat.mtimeMs;
+    return;
+  }
 
-function broadcastRaw(sessionId, data) {
-  const clients = wsClients.get(sessionId);
-  if (!clients) return;
-  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
-  for (const ws of clients) {
-    if (ws.readyState === WebSocket.OPEN) {
-      ws.send(buf);
+  for (const { line, next } of readJsonlLines(jsonlPath, doc.offset)) {
+    doc.offset = next;
+    if (!line.trim()) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    recordUsage(sessionId, obj);
+    for (const entry of searchEntriesFor(obj)) {
+      doc.entries.push(entry);
+      for (const token of tokenize(entry.text)) {
+        if (doc.tokens.has(token)) continue;
+        doc.tokens.add(token);
+        let ids = searchTokens.get(token);
+        if (!ids) {
+          ids = new Set();
+          searchTokens.set(token, ids);
+        }
+        ids.add(sessionId);
+      }
     }
   }
+  doc.mtimeMs = stat.mtimeMs;
+}
+
+// Index queued files one per tick so a cold start doesn't block the event loop
+function processSearchQueue() {
+  if (searchQueueRunning) return;
+  searchQueueRunning = true;
+  const step = () => {
+    const next = searchQueue.values().next();
+    if (next.done) {
+      searchQueueRunning = false;
+      return;
+    }
+    searchQueue.delete(next.value);
+    try {
+      indexSessionFile(next.value);
+    } catch (err) {
+      console.error(`Failed to index ${next.value}:`, err.message);
+    }
+    setImmediate(step);
+  };
+  setImmediate(step);
+}
+
+// Queue every jsonl whose size or mtime differs from what we've indexed
+function scanForSearchChanges() {
+  let projectDirs;
+  try {
+    projectDirs = fs.readdirSync(CLAUDE_PROJECTS_DIR);
+  } catch {
+    return;
+  }
+  const seen = new Set();
+  for (const dir of projectDirs) {
+    const projectDir = path.join(CLAUDE_PROJECTS_DIR, dir);
+    let filenames;
+    try {
+      filenames = fs.readdirSync(projectDir);
+    } catch {
+      continue;
+    }
+    for (const filename of filenames) {
+      if (!filename.endsWith('.jsonl')) continue;
+      const jsonlPath = path.join(projectDir, filename);
+      const sessionId = filename.slice(0, -6);
+      seen.add(sessionId);
+      const doc = searchDocs.get(sessionId);
+      try {
+        const stat = fs.statSync(jsonlPath);
+        if (!doc || doc.offset !== stat.size || doc.mtimeMs !== stat.mtimeMs) {
+          searchQueue.add(jsonlPath);
+        }
+      } catch {
+        continue;
+      }
+    }
+  }
+  for (const sessionId of [...searchDocs.keys()]) {
+    if (seen.has(sessionId)) continue;
+    removeFromSearchIndex(sessionId);
+    forgetUsage(sessionId);
+  }
+  processSearchQueue();
+}
+
+function watchForSearchChanges() {
+  try {
+    fs.watch(CLAUDE_PROJECTS_DIR, { recursive: true }, (eventType, filename) => {
+      if (!filename) return;
+      if (filename.endsWith('sessions-index.json')) notifySessionsChanged();
+      if (!filename.endsWith('.jsonl')) return;
+      searchQueue.add(path.join(CLAUDE_PROJECTS_DIR, filename));
+      processSearchQueue();
+      // Sessions we run already push updates from the pty; only external ones need a refetch
+      if (!activeSessions.has(path.basename(filename, '.jsonl'))) notifySessionsChanged();
+    });
+  } catch (err) {
+    console.error('fs.watch unavailable, search index will rescan periodically:', err.message);
+  }
+  setInterval(scanForSearchChanges, SEARCH_RESCAN_INTERVAL_MS);
+}
+
+// Build a ~200 char snippet around the first hit, with match ranges for highlighting
+function buildSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  let first = -1;
+  for (const term of terms) {
+    const idx = lower.indexOf(term);
+    if (idx !== -1 && (first === -1 || idx < first)) first = idx;
+  }
+  const start = Math.max(0, first - 60);
+  const end = Math.min(text.length, start + 200);
+  let snippet = text.substring(start, end).replace(/\s+/g, ' ');
+  if (start > 0) snippet = '…' + snippet;
+  if (end < text.length) snippet += '…';
+
+  const snippetLower = snippet.toLowerCase();
+  const matches = [];
+  for (const term of terms) {
+    let idx = snippetLower.indexOf(term);
+    while (idx !== -1) {
+      matches.push([idx, idx + term.length]);
+      idx = snippetLower.indexOf(term, idx + term.length);
+    }
+  }
+  matches.sort((a, b) => a[0] - b[0]);
+  return { text: snippet, matches };
+}
+
+// Sessions whose transcripts contain every query term, most matches first
+function searchTranscripts(query, includeArchived = false) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  // Candidate sessions from the inverted index; the last term also matches as a prefix
+  let candidates = null;
+  terms.forEach((term, i) => {
+    const ids = new Set(searchTokens.get(term) || []);
+    if (i === terms.length - 1) {
+      for (const [token, tokenIds] of searchTokens) {
+        if (token.startsWith(term)) tokenIds.forEach(id => ids.add(id));
+      }
+    }
+    candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+  });
+
+  const sessions = new Map(loadSessionIndex(includeArchived).map(s => [s.id, s]));
+  const results = [];
+
+  for (const id of candidates) {
+    const session = sessions.get(id);
+    const doc = searchDocs.get(id);
+    if (!session || !doc) continue;
+
+    const hits = doc.entries.filter(entry => {
+      const lower = entry.text.toLowerCase();
+      return terms.every(term => lower.includes(term));
+    });
+    if (hits.length === 0) continue;
+
+    results.push({
+      id,
+      name: session.name,
+      group: session.group,
+      status: session.status,
+      workingDir: session.workingDir,
+      lastActivity: session.lastActivity,
+      matchCount: hits.length,
+      snippets: hits.slice(-SEARCH_SNIPPETS_PER_SESSION).reverse().map(entry => ({
+        type: entry.type,
+        timestamp: entry.timestamp,
+        ...buildSnippet(entry.text, terms),
+      })),
+    });
+  }
+
+  results.sort((a, b) => b.matchCount - a.matchCount
+    || new Date(b.lastActivity) - new Date(a.lastActivity));
+  return results.slice(0, SEARCH_RESULT_LIMIT);
+}
+
+// ── Token usage ──────────────────────────────────────────────────────────────
+//
+// Assistant lines in the jsonl carry the API's usage block; the search indexer
+// hands every line it reads to recordUsage. Claude Code writes one line per
+// content block, each repeating its message's usage, so records are keyed by
+// message id and the last line wins.
+
+// Dollars per million tokens, matched by the longest model-name prefix.
+// A JSON file of the same shape at AIMESSAGE_PRICES adds or overrides entries.
+const DEFAULT_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-7-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4-5': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+};
+const USAGE_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+const USAGE_DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// sessionUsage: Map<sessionId, Map<messageId, { day, model, input, output, cacheRead, cacheWrite }>>
+const sessionUsage = new Map();
+
+function loadPrices() {
+  try {
+    const custom = JSON.parse(fs.readFileSync(PRICES_FILE, 'utf-8'));
+    console.log(`Loaded prices from ${PRICES_FILE}`);
+    return { ...DEFAULT_PRICES, ...custom };
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`Failed to load ${PRICES_FILE}:`, err.message);
+    return DEFAULT_PRICES;
+  }
+}
+
+const prices = loadPrices();
+
+function priceFor(model) {
+  let best = null;
+  for (const prefix of Object.keys(prices)) {
+    if (model.startsWith(prefix) && (!best || prefix.length > best.length)) best = prefix;
+  }
+  return best ? prices[best] : null;
+}
+
+function recordUsage(sessionId, obj) {
+  if (obj.type !== 'assistant' || !obj.message || !obj.message.usage) return;
+  const { id, model, usage } = obj.message;
+  if (!model || model === '<synthetic>') return; // Client-side placeholder messages
+  let records = sessionUsage.get(sessionId);
+  if (!records) {
+    records = new Map();
+    sessionUsage.set(sessionId, records);
+  }
+  records.set(id || obj.uuid, {
+    day: String(obj.timestamp || '').slice(0, 10),
+    model,
+    input: usage.input_tokens || 0,
+    output: usage.output_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0,
+    cacheWrite: usage.cache_creation_input_tokens || 0,
+  });
+}
+
+function forgetUsage(sessionId) {
+  sessionUsage.delete(sessionId);
+}
+
+// A session's usage records, optionally limited to days in [from, to]
+function usageRecords(sessionId, from, to) {
+  const records = sessionUsage.get(sessionId);
+  if (!records) return [];
+  return [...records.values()].filter(r => (!from || r.day >= from) && (!to || r.day <= to));
+}
+
+function zeroUsage() {
+  return { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, cost: 0 };
+}
+
+function addUsage(total, record) {
+  const price = priceFor(record.model);
+  for (const field of USAGE_FIELDS) {
+    total[field] += record[field];
+    if (price) total.cost += record[field] * (price[field] || 0) / 1e6;
+  }
+}
+
+// Token totals and estimated cost (USD), overall and per model. Models
+// missing from the price table count tokens but no cost.
+function summarizeUsage(records) {
+  const summary = { ...zeroUsage(), byModel: {} };
+  for (const record of records) {
+    if (!summary.byModel[record.model]) summary.byModel[record.model] = zeroUsage();
+    addUsage(summary, record);
+    addUsage(summary.byModel[record.model], record);
+  }
+  const round = (usage) => { usage.cost = Math.round(usage.cost * 10000) / 10000; };
+  round(summary);
+  Object.values(summary.byModel).forEach(round);
+  return summary;
+}
+
+// ── Scrollback buffer ────────────────────────────────────────────────────────
+
+function appendScrollback(id, data) {
+  const buf = scrollbackBuffers.get(id) || Buffer.alloc(0);
+  const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  let combined = Buffer.concat([buf, chunk]);
+  if (combined.length > SCROLLBACK_SIZE) {
+    combined = combined.slice(combined.length - SCROLLBACK_SIZE);
+  }
+  scrollbackBuffers.set(id, combined);
+  queueScrollbackWrite(id, chunk);
+}
+
+// ── Scrollback log (on disk) ─────────────────────────────────────────────────
+//
+// Raw pty output is appended to scrollback/<id>.log so a restarted server can
+// repaint terminals. When a log passes SCROLLBACK_LOG_SIZE it is rotated to
+// <id>.log.1, replacing the previous rotation.
+
+// pendingScrollback: Map<sessionId, Buffer[]> — output not yet flushed to disk
+const pendingScrollback = new Map();
+let scrollbackFlushTimer = null;
+
+function scrollbackLogPath(id) {
+  return path.join(SCROLLBACK_DIR, `${id}.log`);
+}
+
+function queueScrollbackWrite(id, chunk) {
+  const pending = pendingScrollback.get(id);
+  if (pending) pending.push(chunk);
+  else pendingScrollback.set(id, [chunk]);
+  if (!scrollbackFlushTimer) {
+    scrollbackFlushTimer = setTimeout(flushScrollbackLogs, SCROLLBACK_FLUSH_MS);
+  }
+}
+
+function flushScrollbackLogs() {
+  clearTimeout(scrollbackFlushTimer);
+  scrollbackFlushTimer = null;
+  if (pendingScrollback.size === 0) return;
+
+  try {
+    fs.mkdirSync(SCROLLBACK_DIR, { recursive: true });
+  } catch (err) {
+    console.error('Failed to create scrollback dir:', err.message);
+    return;
+  }
+
+  for (const [id, chunks] of pendingScrollback) {
+    const logPath = scrollbackLogPath(id);
+    try {
+      fs.appendFileSync(logPath, Buffer.concat(chunks));
+      if (fs.statSync(logPath).size > SCROLLBACK_LOG_SIZE) {
+        fs.renameSync(logPath, logPath + '.1');
+      }
+    } catch (err) {
+      console.error(`Failed to write scrollback for ${id}:`, err.message);
+    }
+  }
+  pendingScrollback.clear();
+}
+
+function removeScrollbackLog(id) {
+  pendingScrollback.delete(id);
+  for (const file of [scrollbackLogPath(id), scrollbackLogPath(id) + '.1']) {
+    try {
+      fs.unlinkSync(file);
+    } catch {
+      // Never written, that's fine
+    }
+  }
+}
+
+// Last SCROLLBACK_SIZE bytes across the rotated and current logs
+function readScrollbackLog(id) {
+  const parts = [];
+  for (const file of [scrollbackLogPath(id) + '.1', scrollbackLogPath(id)]) {
+    try {
+      parts.push(fs.readFileSync(file));
+    } catch {
+      // Missing rotation, that's fine
+    }
+  }
+  const combined = Buffer.concat(parts);
+  return combined.length > SCROLLBACK_SIZE ? combined.slice(combined.length - SCROLLBACK_SIZE) : combined;
+}
+
+// Reload logs for sessions whose tmux session survived the restart; drop the rest
+async function restoreScrollbackLogs() {
+  let files;
+  try {
+    files = fs.readdirSync(SCROLLBACK_DIR);
+  } catch {
+    return; // Nothing persisted yet
+  }
+
+  const ids = new Set(files.filter(f => /\.log(\.1)?$/.test(f)).map(f => f.replace(/\.log(\.1)?$/, '')));
+  let restored = 0;
+  for (const id of ids) {
+    if (await tmux.hasSession(tmuxName(id))) {
+      if (!scrollbackBuffers.has(id)) {
+        scrollbackBuffers.set(id, readScrollbackLog(id));
+        restored++;
+      }
+    } else {
+      removeScrollbackLog(id);
+    }
+  }
+  if (restored) console.log(`Restored scrollback for ${restored} session(s)`);
+}
+
+// ── Recording (asciicast v2) ─────────────────────────────────────────────────
+//
+// Every session's pty output is timestamped into recordings/<id>.cast: a JSON
+// header line, then one [seconds, "o", data] line per chunk ("r" for resizes).
+// A recording that outlives a server restart keeps its original clock.
+
+// recordings: Map<sessionId, { start, size, full }> — open recordings
+const recordings = new Map();
+// pendingRecording: Map<sessionId, string[]> — event lines not yet on disk
+const pendingRecording = new Map();
+// terminalSizes: Map<sessionId, { cols, rows }> — last size a client asked for
+const terminalSizes = new Map();
+let recordingFlushTimer = null;
+
+function recordingPath(id) {
+  return path.join(RECORDINGS_DIR, `${id}.cast`);
+}
+
+// Open (or pick up) the recording for a session, writing the header if new
+function openRecording(id) {
+  const file = recordingPath(id);
+  try {
+    const fd = fs.openSync(file, 'r');
+    const head = Buffer.alloc(4096);
+    const bytes = fs.readSync(fd, head, 0, head.length, 0);
+    fs.closeSync(fd);
+    const header = JSON.parse(head.toString('utf-8', 0, bytes).split('\n')[0]);
+    return { start: header.timestamp * 1000, size: fs.statSync(file).size, full: false };
+  } catch {
+    // No usable recording yet; start a fresh one
+  }
+
+  const size = terminalSizes.get(id) || { cols: 200, rows: 50 };
+  const timestamp = Math.floor(Date.now() / 1000);
+  const header = JSON.stringify({
+    version: 2,
+    width: size.cols,
+    height: size.rows,
+    timestamp,
+    env: { TERM: 'xterm-256color' },
+  }) + '\n';
+  fs.mkdirSync(RECORDINGS_DIR, { recursive: true });
+  fs.writeFileSync(file, header);
+  return { start: timestamp * 1000, size: header.length, full: false };
+}
+
+function recordEvent(id, type, data) {
+  let rec = recordings.get(id);
+  if (!rec) {
+    try {
+      rec = openRecording(id);
+    } catch (err) {
+      console.error(`Failed to start recording for ${id}:`, err.message);
+      return;
+    }
+    recordings.set(id, rec);
+  }
+  if (rec.full) return;
+
+  const elapsed = Number(((Date.now() - rec.start) / 1000).toFixed(6));
+  const line = JSON.stringify([elapsed, type, data]) + '\n';
+  const pending = pendingRecording.get(id);
+  if (pending) pending.push(line);
+  else pendingRecording.set(id, [line]);
+  if (!recordingFlushTimer) {
+    recordingFlushTimer = setTimeout(flushRecordings, SCROLLBACK_FLUSH_MS);
+  }
+}
+
+function recordOutput(id, data) {
+  recordEvent(id, 'o', Buffer.isBuffer(data) ? data.toString('utf-8') : data);
+}
+
+function recordResize(id, cols, rows) {
+  terminalSizes.set(id, { cols, rows });
+  recordEvent(id, 'r', `${cols}x${rows}`);
+}
+
+function flushRecordings() {
+  clearTimeout(recordingFlushTimer);
+  recordingFlushTimer = null;
+
+  for (const [id, lines] of pendingRecording) {
+    const rec = recordings.get(id);
+    if (!rec || rec.full) continue;
+    const chunk = lines.join('');
+    try {
+      fs.appendFileSync(recordingPath(id), chunk);
+      rec.size += Buffer.byteLength(chunk);
+      if (rec.size > RECORDING_MAX_SIZE) {
+        rec.full = true;
+        console.log(`Recording for ${id} reached ${RECORDING_MAX_SIZE} bytes; no longer recording`);
+      }
+    } catch (err) {
+      console.error(`Failed to write recording for ${id}:`, err.message);
+    }
+  }
+  pendingRecording.clear();
+}
+
+function removeRecording(id) {
+  recordings.delete(id);
+  pendingRecording.delete(id);
+  terminalSizes.delete(id);
+  try {
+    fs.unlinkSync(recordingPath(id));
+  } catch {
+    // Never recorded, that's fine
+  }
+}
+
+// ── Preview text ─────────────────────────────────────────────────────────────
+
+// Patterns that indicate terminal metadata rather than conversation content
+const TERMINAL_JUNK_RE = /(\[ws-[0-9a-f]+|Claude Code"|\\x1b\[|\u001b\[|\[0,0\]|ESC\[|\[\d+,\d+\])/i;
+
+function isTerminalMetadata(line) {
+  if (!line || !line.trim()) return true;
+  // tmux pane title format: [ws-<id>:...]
+  if (/^\[ws-[0-9a-f]/.test(line)) return true;
+  // Contains Claude Code terminal title
+  if (/Claude Code"/.test(line)) return true;
+  // Contains ANSI escape sequences (raw or unicode)
+  if (/\x1b\[|\u001b\[/.test(line)) return true;
+  // Contains terminal coordinate patterns like [0,0]
+  if (/\[\d+,\d+\]/.test(line)) return true;
+  // tmux status bar patterns
+  if (/^\s*\d+:\d+\s*\[/.test(line)) return true;
+  return false;
+}
+
+function updatePreview(id, rawData) {
+  const session = activeSessions.get(id);
+  if (!session) return;
+
+  const text = typeof rawData === 'string' ? rawData : rawData.toString('utf-8');
+  const stripped = text.replace(ANSI_STRIP_RE, '');
+  const lines = stripped.split('\n')
+    .map(l => l.trim())
+    .filter(l => l.length > 0 && !isTerminalMetadata(l));
+
+  if (lines.length > 0) {
+    session.preview = lines[lines.length - 1].substring(0, 150);
+  }
+}
+
+// ── Launch profiles ──────────────────────────────────────────────────────────
+//
+// A project's `launch` profile decides how claude starts for its sessions:
+// { command, args, model, permissionMode, appendSystemPrompt, allowedTools }.
+// A session may carry its own overrides (given at creation), which win.
+
+const DEFAULT_LAUNCH_PROFILE = {
+  command: 'claude',
+  permissionMode: 'skip',
+};
+
+// permissionMode → claude flags; 'default' keeps the normal permission prompts
+const PERMISSION_MODE_ARGS = {
+  skip: ['--dangerously-skip-permissions'],
+  default: [],
+  acceptEdits: ['--permission-mode', 'acceptEdits'],
+  plan: ['--permission-mode', 'plan'],
+};
+
+// Validate a profile from a request body. Returns { profile } or { error };
+// an empty profile comes back as null so callers can drop it from meta.
+function parseLaunchProfile(input) {
+  if (input === null) return { profile: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'launch must be an object' };
+  }
+
+  const profile = {};
+  for (const key of ['command', 'model', 'appendSystemPrompt']) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+    if (typeof input[key] !== 'string') return { error: `launch.${key} must be a string` };
+    if (input[key].trim()) profile[key] = input[key].trim();
+  }
+  for (const key of ['args', 'allowedTools']) {
+    if (input[key] === undefined || input[key] === null) continue;
+    if (!Array.isArray(input[key]) || input[key].some(v => typeof v !== 'string')) {
+      return { error: `launch.${key} must be an array of strings` };
+    }
+    const values = input[key].filter(v => v.trim());
+    if (values.length) profile[key] = values;
+  }
+  if (input.permissionMode !== undefined && input.permissionMode !== null && input.permissionMode !== '') {
+    if (!Object.hasOwn(PERMISSION_MODE_ARGS, input.permissionMode)) {
+      return { error: `launch.permissionMode must be one of: ${Object.keys(PERMISSION_MODE_ARGS).join(', ')}` };
+    }
+    profile.permissionMode = input.permissionMode;
+  }
+
+  return { profile: Object.keys(profile).length ? profile : null };
+}
+
+// Effective profile for a session: defaults ← project ← session overrides
+function launchProfileFor(meta, sessionId, projectName) {
+  const sessionMeta = meta.sessions[sessionId] || {};
+  const project = meta.projects[projectName || sessionMeta.project];
+  return {
+    ...DEFAULT_LAUNCH_PROFILE,
+    ...(project && project.launch),
+    ...sessionMeta.launch,
+  };
+}
+
+// argv for tmux to exec, e.g. ['claude', '--resume', id, '--model', 'opus'].
+// `sessionId` pins claude's conversation id to ours, so transcripts and hook
+// events line up with the session; with `resumeId` too, the resumed
+// conversation branches into that new session instead of continuing in place.
+function claudeCommand(profile, resumeId, sessionId) {
+  const args = [profile.command || DEFAULT_LAUNCH_PROFILE.command];
+  if (resumeId) args.push('--resume', resumeId);
+  if (resumeId && sessionId) args.push('--fork-session');
+  if (sessionId) args.push('--session-id', sessionId);
+  args.push(...(PERMISSION_MODE_ARGS[profile.permissionMode] || PERMISSION_MODE_ARGS.skip));
+  if (profile.model) args.push('--model', profile.model);
+  if (profile.appendSystemPrompt) args.push('--append-system-prompt', profile.appendSystemPrompt);
+  if (profile.allowedTools) args.push('--allowedTools', profile.allowedTools.join(','));
+  if (profile.args) args.push(...profile.args);
+  return args;
+}
+
+// ── Git worktrees ────────────────────────────────────────────────────────────
+//
+// A session can run in its own worktree on a fresh branch, so parallel
+// sessions on one repo don't trample each other's files. The worktree is kept
+// in meta.sessions[id].worktree as { path, branch, base, repo }.
+
+const WORKTREE_ACTIONS = ['keep', 'merge', 'remove'];
+
+function git(cwd, args) {
+  return new Promise((resolve, reject) => {
+    const options = { timeout: GIT_TIMEOUT_MS, maxBuffer: GIT_MAX_BUFFER };
+    execFile('git', ['-C', cwd, ...args], options, (err, stdout, stderr) => {
+      if (err) return reject(new Error((stderr || err.message).trim()));
+      resolve(stdout.replace(/\n$/, ''));
+    });
+  });
+}
+
+function branchSlug(name) {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return slug.slice(0, 40) || 'session';
+}
+
+// Create a worktree + branch for the repo containing `dir`. Returns the
+// worktree record and the directory to launch in (same subdir as `dir`).
+async function createWorktree(dir, id, name) {
+  let repo;
+  try {
+    repo = await git(dir, ['rev-parse', '--show-toplevel']);
+  } catch {
+    throw new Error(`${dir} is not inside a git repository`);
+  }
+
+  const base = await git(repo, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  const branch = `aimessage/${branchSlug(name)}-${id.slice(0, 8)}`;
+  const worktreePath = path.join(WORKTREE_DIR, `${path.basename(repo)}-${id.slice(0, 8)}`);
+
+  fs.mkdirSync(WORKTREE_DIR, { recursive: true });
+  await git(repo, ['worktree', 'add', '-b', branch, worktreePath, 'HEAD']);
+
+  // Untracked (e.g. empty) subdirectories don't exist in the new worktree
+  const subdir = path.join(worktreePath, path.relative(repo, fs.realpathSync(dir)));
+  return {
+    worktree: { path: worktreePath, branch, base, repo },
+    cwd: fs.existsSync(subdir) ? subdir : worktreePath,
+  };
+}
+
+async function removeWorktree(worktree) {
+  try {
+    await git(worktree.repo, ['worktree', 'remove', '--force', worktree.path]);
+  } catch {
+    // Directory already gone: just drop git's record of it
+    await git(worktree.repo, ['worktree', 'prune']).catch(() => {});
+  }
+  await git(worktree.repo, ['branch', '-D', worktree.branch]).catch(() => {});
+}
+
+// Merge the session's branch into its base in the main checkout, then remove
+// the worktree. Refuses (throws) rather than losing uncommitted work.
+async function mergeWorktree(worktree) {
+  if (fs.existsSync(worktree.path) && await git(worktree.path, ['status', '--porcelain'])) {
+    throw new Error('Worktree has uncommitted changes; commit them or choose remove');
+  }
+  const current = await git(worktree.repo, ['rev-parse', '--abbrev-ref', 'HEAD']);
+  if (current !== worktree.base) {
+    throw new Error(`Main checkout is on ${current}, not ${worktree.base}`);
+  }
+
+  try {
+    await git(worktree.repo, ['merge', '--no-edit', worktree.branch]);
+  } catch (err) {
+    await git(worktree.repo, ['merge', '--abort']).catch(() => {});
+    throw new Error(`Merge failed: ${err.message}`);
+  }
+  await removeWorktree(worktree);
+}
+
+// Apply a keep/merge/remove choice to a session's worktree and update meta.
+// Refuses while the session runs: claude could still be writing in there.
+async function finishWorktree(id, action) {
+  const meta = loadMeta();
+  const sessionMeta = meta.sessions[id];
+  const worktree = sessionMeta && sessionMeta.worktree;
+  if (!worktree || action === 'keep') return;
+  if (ptyProcesses.has(id) || await tmux.hasSession(tmuxName(id))) {
+    throw new Error('Session is still running; stop it before you merge or remove its worktree');
+  }
+
+  if (action === 'merge') {
+    await mergeWorktree(worktree);
+  } else {
+    await removeWorktree(worktree);
+  }
+
+  // Re-read: git can take a while
+  updateMeta((fresh) => {
+    if (!fresh.sessions[id]) return false;
+    delete fresh.sessions[id].worktree;
+  });
+  invalidateSessionCache();
+}
+
+// ── Git status ───────────────────────────────────────────────────────────────
+
+// Porcelain v2 status letters → names the UI shows
+const GIT_STATUS_NAMES = {
+  M: 'modified',
+  T: 'typechange',
+  A: 'added',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  U: 'unmerged',
+};
+
+// Split `git diff` output into { path: diffText } by file
+function splitDiff(output) {
+  const diffs = {};
+  const parts = output.split(/^(?=diff --git )/m).filter(Boolean);
+  for (const part of parts) {
+    const plus = part.match(/^\+\+\+ b\/(.+)$/m);
+    const minus = part.match(/^--- a\/(.+)$/m);
+    const header = part.match(/^diff --git a\/.+ b\/(.+)$/m);
+    const file = (plus && plus[1]) || (minus && minus[1]) || (header && header[1]);
+    if (!file) continue;
+    diffs[file] = part.length > GIT_DIFF_MAX_CHARS
+      ? part.slice(0, GIT_DIFF_MAX_CHARS) + '\n… diff truncated …\n'
+      : part;
+  }
+  return diffs;
+}
+
+// Branch, ahead/behind and staged/unstaged files with diffs for `dir`
+async function gitStatus(dir) {
+  const [status, staged, unstaged] = await Promise.all([
+    git(dir, ['status', '--porcelain=v2', '--branch', '-z']),
+    git(dir, ['diff', '--cached', '--no-color', '--no-ext-diff']),
+    git(dir, ['diff', '--no-color', '--no-ext-diff']),
+  ]);
+  const stagedDiffs = splitDiff(staged);
+  const unstagedDiffs = splitDiff(unstaged);
+
+  const result = { branch: null, upstream: null, ahead: 0, behind: 0, staged: [], unstaged: [] };
+  const fields = status.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const entry = fields[i];
+    if (entry.startsWith('# branch.head ')) {
+      result.branch = entry.slice(14);
+    } else if (entry.startsWith('# branch.upstream ')) {
+      result.upstream = entry.slice(18);
+    } else if (entry.startsWith('# branch.ab ')) {
+      const [ahead, behind] = entry.slice(12).split(' ');
+      result.ahead = Math.abs(parseInt(ahead, 10)) || 0;
+      result.behind = Math.abs(parseInt(behind, 10)) || 0;
+    } else if (entry.startsWith('1 ') || entry.startsWith('2 ') || entry.startsWith('u ')) {
+      // 1 XY sub mH mI mW hH hI path | 2 ... score path \0 origPath | u XY sub m1 m2 m3 mW h1 h2 h3 path
+      const parts = entry.split(' ');
+      const pathIndex = { 1: 8, 2: 9, u: 10 }[parts[0]];
+      const file = parts.slice(pathIndex).join(' ');
+      const oldPath = parts[0] === '2' ? fields[++i] : undefined;
+      const [x, y] = parts[1];
+      if (x !== '.') {
+        result.staged.push({ path: file, oldPath, status: GIT_STATUS_NAMES[x] || x, diff: stagedDiffs[file] || null });
+      }
+      if (y !== '.') {
+        result.unstaged.push({ path: file, status: GIT_STATUS_NAMES[y] || y, diff: unstagedDiffs[file] || null });
+      }
+    } else if (entry.startsWith('? ')) {
+      result.unstaged.push({ path: entry.slice(2), status: 'untracked', diff: null });
+    }
+  }
+  return result;
+}
+
+// ── File browser ─────────────────────────────────────────────────────────────
+//
+// Read-only access to a session's working directory. Paths are relative to
+// the directory and resolved through symlinks, so nothing outside it leaks.
+
+// Resolve `rel` inside `root`. Returns the real path, or null if it escapes.
+// Throws (ENOENT) if it doesn't exist.
+function resolveSessionPath(root, rel) {
+  const realRoot = fs.realpathSync(root);
+  const real = fs.realpathSync(path.resolve(realRoot, String(rel || '').replace(/^\/+/, '')));
+  if (real !== realRoot && !real.startsWith(realRoot + path.sep)) return null;
+  return real;
+}
+
+function listDirectory(dir) {
+  const dirents = fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.name !== '.git');
+  const entries = [];
+  for (const dirent of dirents.slice(0, FILE_LIST_LIMIT)) {
+    let stat;
+    try {
+      stat = fs.statSync(path.join(dir, dirent.name)); // Follows symlinks
+    } catch {
+      continue; // Broken symlink
+    }
+    entries.push({
+      name: dirent.name,
+      type: stat.isDirectory() ? 'dir' : 'file',
+      size: stat.isDirectory() ? null : stat.size,
+      modified: stat.mtime.toISOString(),
+    });
+  }
+  entries.sort((a, b) => {
+    if (a.type !== b.type) return a.type === 'dir' ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+  return { entries, truncated: dirents.length > FILE_LIST_LIMIT };
+}
+
+function readFilePreview(file, size) {
+  const length = Math.min(size, FILE_VIEW_MAX_SIZE);
+  const buf = Buffer.alloc(length);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buf, 0, length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (buf.subarray(0, FILE_BINARY_SNIFF).includes(0)) {
+    return { binary: true, content: null, truncated: false };
+  }
+  return { binary: false, content: buf.toString('utf-8'), truncated: size > length };
+}
+
+// ── tmux / pty ───────────────────────────────────────────────────────────────
+
+function tmuxName(id) {
+  return `ws-${id}`;
+}
+
+// One persistent control-mode connection carries every tmux command
+const tmux = new TmuxControl();
+
+// attaching: Set<sessionId> — tmux lookup or new-session in flight, so a second
+// client connecting meanwhile doesn't spawn a duplicate attach. Cleared once
+// the session's pty is in ptyProcesses.
+const attaching = new Set();
+
+// Sessions killed outside the app (tmux kill-session, reboot) drop off the list
+tmux.on('session-closed', (name) => {
+  if (name.startsWith('ws-')) notifySessionsChanged();
+});
+
+function reattachSession(id, workingDir) {
+  const cwd = workingDir || process.env.HOME;
+  const cols = 200;
+  const rows = 50;
+
+  const proc = pty.spawn('tmux', ['attach-session', '-t', tmuxName(id)], {
+    name: 'xterm-256color',
+    cols,
+    rows,
+    cwd,
+    env: process.env,
+  });
+
+  ptyProcesses.set(id, proc);
+
+  // Ensure active session tracking exists
+  if (!activeSessions.has(id)) {
+    activeSessions.set(id, {
+      id,
+      status: 'idle',
+      lastActivity: new Date().toISOString(),
+      preview: null,
+      workingDir: cwd,
+    });
+  }
+
+  setupPtyListeners(id, proc);
+  lastOutputTime.set(id, Date.now());
+  return true;
+}
+
+// `forkOf`: start as a fork of that session's conversation instead of fresh
+function spawnSession(id, workingDir, profile, forkOf) {
+  const cols = 200;
+  const rows = 50;
+  const cwd = workingDir || process.env.HOME;
+  const name = tmuxName(id);
+  attaching.add(id);
+
+  // Spawn tmux with claude inside via node-pty
+  const proc = pty.spawn(
+    'tmux',
+    [
+      'new-session', '-d', '-s', name, '-x', String(cols), '-y', String(rows),
+      ...claudeCommand(profile, forkOf, id),
+    ],
+    {
+      name: 'xterm-256color',
+      cols,
+      rows,
+      cwd,
+      env: process.env,
+    }
+  );
+
+  // tmux new-session -d exits immediately. Attach after a short delay.
+  proc.onExit(() => {
+    tmux.setOption(name, 'status', 'off').catch(() => {});
+    setTimeout(() => {
+      const attachProc = pty.spawn('tmux', ['attach-session', '-t', name], {
+        name: 'xterm-256color',
+        cols,
+        rows,
+        cwd,
+        env: process.env,
+      });
+      ptyProcesses.set(id, attachProc);
+      attaching.delete(id);
+      setupPtyListeners(id, attachProc);
+    }, 300);
+  });
+}
+
+// Start `claude --resume` for a session whose tmux session is gone
+function resumeSession(id, workingDir, profile) {
+  const cwd = workingDir || process.env.HOME;
+  const name = tmuxName(id);
+  const cols = 200;
+  const rows = 50;
+  attaching.add(id);
+
+  if (!activeSessions.has(id)) {
+    activeSessions.set(id, {
+      id,
+      status: 'running',
+      lastActivity: new Date().toISOString(),
+      preview: null,
+      workingDir: cwd,
+    });
+  }
+  if (!scrollbackBuffers.has(id)) {
+    scrollbackBuffers.set(id, Buffer.alloc(0));
+  }
+
+  const spawnProc = pty.spawn(
+    'tmux',
+    [
+      'new-session', '-d', '-s', name, '-x', String(cols), '-y', String(rows),
+      ...claudeCommand(profile, id),
+    ],
+    { name: 'xterm-256color', cols, rows, cwd, env: process.env }
+  );
+
+  spawnProc.onExit(() => {
+    tmux.setOption(name, 'status', 'off').catch(() => {});
+    setTimeout(() => {
+      const attachProc = pty.spawn('tmux', ['attach-session', '-t', name], {
+        name: 'xterm-256color',
+        cols,
+        rows,
+        cwd,
+        env: process.env,
+      });
+      ptyProcesses.set(id, attachProc);
+      attaching.delete(id);
+      setupPtyListeners(id, attachProc);
+    }, 300);
+  });
+}
+
+// Give a session a pty if it has none: reattach to its tmux session if that's
+// still running, otherwise resume the conversation (whose pty appears a
+// moment after this resolves)
+async function ensureSessionAttached(id, workingDir) {
+  if (ptyProcesses.has(id) || attaching.has(id) || isExternalSession(id)) return;
+  attaching.add(id);
+  let resuming = false;
+  try {
+    const exists = await tmux.hasSession(tmuxName(id));
+    if (ptyProcesses.has(id)) return;
+    if (exists) {
+      reattachSession(id, workingDir);
+    } else {
+      resumeSession(id, workingDir, launchProfileFor(loadMeta(), id));
+      resuming = true;
+    }
+  } finally {
+    if (!resuming) attaching.delete(id); // resumeSession clears it once attached
+  }
+}
+
+function setupPtyListeners(id, proc) {
+  proc.onData((data) => {
+    const session = activeSessions.get(id);
+    if (!session) return;
+
+    const now = Date.now();
+    session.lastActivity = new Date().toISOString();
+    // Waiting states are only cleared by the screen check, not by any redraw.
+    // Sessions reporting through hooks get exact status from those instead.
+    if (!session.hooked && !WAITING_STATUSES.has(session.status)) {
+      setSessionStatus(id, 'running');
+    }
+    lastOutputTime.set(id, now);
+    scheduleScreenCheck(id);
+
+    appendScrollback(id, data);
+    recordOutput(id, data);
+    updatePreview(id, data);
+    broadcastRaw(id, data);
+    scheduleSessionUpdate(id);
+  });
+
+  proc.onExit(({ exitCode }) => {
+    const session = activeSessions.get(id);
+    if (session) {
+      session.lastActivity = new Date().toISOString();
+      setSessionStatus(id, exitCode === 0 ? 'done' : 'error');
+      // DELETE /sessions/:id unregisters the pty before killing it; that's no error
+      if (exitCode !== 0 && ptyProcesses.get(id) === proc) fireWebhook('session.error', id, { exitCode });
+    }
+    ptyProcesses.delete(id);
+    lastOutputTime.delete(id);
+    lastInputTime.delete(id);
+    invalidateSessionCache();
+
+    const exitMsg = `\r\n\x1B[31m[Process exited with code ${exitCode}]\x1B[0m\r\n`;
+    broadcastRaw(id, exitMsg);
+  });
+}
+
+// ── Status detection (for active pty sessions) ───────────────────────────────
+
+// Single place status changes happen, so every change reaches /events listeners
+function setSessionStatus(id, status) {
+  const session = activeSessions.get(id);
+  if (!session || session.status === status) return;
+  const previous = session.status;
+  session.status = status;
+  emitEvent('session-status', { id, status, lastActivity: session.lastActivity });
+  queueStatusWebhook(id, previous, status);
+  if (QUEUE_READY_STATUSES.has(status) && deliverQueuedPrompt(id)) return; // Not waiting after all
+  notifyStatusChange(id, previous, status);
+}
+
+// Statuses that mean Claude is blocked on the user
+const WAITING_STATUSES = new Set(['needs-input', 'awaiting-approval']);
+
+// Resolves to the detected status (and applies it), or null if undetermined
+async function checkScreenStatus(id) {
+  const screen = await tmux.capturePane(tmuxName(id));
+  if (screen === null) return null;
+  const detected = detectScreenStatus(screen);
+  const session = activeSessions.get(id);
+  if (session) {
+    const wasMenu = session.choiceMenu;
+    session.choiceMenu = detected === 'needs-input' && isChoiceMenu(screenTail(screen).join('\n'));
+    // Menu answered but still needs input: the status didn't change, so nothing else will
+    if (wasMenu && !session.choiceMenu && session.status === detected) deliverQueuedPrompt(id);
+  }
+  if (detected) setSessionStatus(id, detected);
+  return detected;
+}
+
+// screenCheckTimers: Map<sessionId, Timeout> — trailing throttle after output
+const screenCheckTimers = new Map();
+
+function scheduleScreenCheck(id) {
+  if (screenCheckTimers.has(id)) return;
+  screenCheckTimers.set(id, setTimeout(() => {
+    screenCheckTimers.delete(id);
+    const session = activeSessions.get(id);
+    if (session && !session.hooked && ptyProcesses.has(id)) checkScreenStatus(id);
+  }, SCREEN_CHECK_THROTTLE_MS));
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, session] of activeSessions) {
+    if (session.external) {
+      // Missed its SessionEnd (killed, or hooks removed): age it out
+      if (now - Date.parse(session.lastActivity) > EXTERNAL_SESSION_TTL_MS) forgetExternalSession(id);
+      continue;
+    }
+    if (session.status === 'done') continue;
+    if (session.hooked) continue; // Hook events are authoritative
+    if (attaching.has(id)) continue; // pty on its way
+    if (!ptyProcesses.has(id)) {
+      setSessionStatus(id, 'error');
+      continue;
+    }
+
+    // Prefer what's actually on screen; fall back to output timing
+    checkScreenStatus(id).then((detected) => {
+      if (detected || session.status === 'error') return;
+
+      const lastOut = lastOutputTime.get(id) || 0;
+      const elapsed = now - lastOut;
+
+      if (elapsed > IDLE_TIMEOUT_MS && session.status === 'running') {
+        setSessionStatus(id, 'idle');
+      }
+    });
+  }
+}, STATUS_CHECK_INTERVAL_MS);
+
+// ── Prompt queue ─────────────────────────────────────────────────────────────
+//
+// Queued prompts are typed in one at a time, each time Claude is back at its
+// input box. Queues are mirrored to meta.sessions[id].queue so they survive a
+// restart; delivery resumes once the session is running again.
+
+const QUEUE_READY_STATUSES = new Set(['idle', 'needs-input']); // needs-input only when it isn't a menu
+
+// promptQueues: Map<sessionId, [{ id, text, createdAt }]>
+const promptQueues = new Map(
+  Object.entries(loadMeta().sessions)
+    .filter(([, sessionMeta]) => Array.isArray(sessionMeta.queue) && sessionMeta.queue.length)
+    .map(([id, sessionMeta]) => [id, sessionMeta.queue])
+);
+// queueRetryTimers: Map<sessionId, Timeout> — delivery postponed by QUEUE_SETTLE_MS
+const queueRetryTimers = new Map();
+
+// Type a prompt into a session's terminal and submit it
+function sendPrompt(id, text) {
+  const proc = ptyProcesses.get(id);
+  if (!proc) return false;
+  proc.write(text);
+  // Separate write so Enter reads as a keypress, not the end of a paste
+  setTimeout(() => {
+    const current = ptyProcesses.get(id);
+    if (current) current.write('\r');
+  }, PROMPT_SUBMIT_DELAY_MS);
+
+  markInput(id);
+  return true;
+}
+
+// Someone typed into the session: Claude is (about to be) working
+function markInput(id) {
+  lastInputTime.set(id, Date.now());
+  const session = activeSessions.get(id);
+  if (session) {
+    session.lastActivity = new Date().toISOString();
+    setSessionStatus(id, 'running');
+  }
+}
+
+// Named keys for /broadcast and /input, as the bytes a terminal sends
+const CONTROL_KEYS = {
+  enter: '\r',
+  escape: '\x1b',
+  tab: '\t',
+  'shift-tab': '\x1b[Z',
+  backspace: '\x7f',
+  up: '\x1b[A',
+  down: '\x1b[B',
+  right: '\x1b[C',
+  left: '\x1b[D',
+  'ctrl-c': '\x03',
+  'ctrl-d': '\x04',
+};
+const KEY_ALIASES = { esc: 'escape', return: 'enter' };
+
+// Validate a list of key names, case-insensitive ("Ctrl-C", "Esc").
+// Returns { keys } normalized, or { error }.
+function parseKeys(input) {
+  if (input === undefined) return { keys: [] };
+  const keys = Array.isArray(input) ? input.map(key => String(key).toLowerCase().replace('+', '-')) : null;
+  const normalized = keys && keys.map(key => KEY_ALIASES[key] || key);
+  if (!normalized || normalized.some(key => !CONTROL_KEYS[key])) {
+    return { error: `keys must be a list of: ${Object.keys(CONTROL_KEYS).join(', ')}` };
+  }
+  return { keys: normalized };
+}
+
+// Write named keys to a session's pty one at a time
+function sendKeys(id, keys) {
+  keys.forEach((key, i) => {
+    setTimeout(() => {
+      const proc = ptyProcesses.get(id);
+      if (proc) proc.write(CONTROL_KEYS[key]);
+    }, i * KEY_GAP_MS);
+  });
+  lastInputTime.set(id, Date.now());
+}
+
+// Persist a session's queue to meta and tell clients
+function saveQueue(id) {
+  const queue = promptQueues.get(id) || [];
+  if (queue.length === 0) promptQueues.delete(id);
+
+  updateMeta((meta) => {
+    if (queue.length) {
+      meta.sessions[id] = meta.sessions[id] || {};
+      meta.sessions[id].queue = queue;
+    } else if (meta.sessions[id] && meta.sessions[id].queue) {
+      delete meta.sessions[id].queue;
+    } else {
+      return false;
+    }
+  });
+  invalidateSessionCache();
+  emitEvent('session-queue', { id, queue });
+}
+
+function enqueuePrompt(id, text) {
+  const item = { id: crypto.randomUUID(), text, createdAt: new Date().toISOString() };
+  if (!promptQueues.has(id)) promptQueues.set(id, []);
+  promptQueues.get(id).push(item);
+  saveQueue(id);
+  return item;
+}
+
+function clearPromptQueue(id) {
+  clearTimeout(queueRetryTimers.get(id));
+  queueRetryTimers.delete(id);
+  if (promptQueues.has(id)) {
+    promptQueues.delete(id);
+    saveQueue(id);
+  }
+}
+
+// Send the next queued prompt if the session is ready for one. Returns true if sent.
+function deliverQueuedPrompt(id) {
+  const queue = promptQueues.get(id);
+  const session = activeSessions.get(id);
+  if (!queue || !session || !ptyProcesses.has(id)) return false;
+  if (!QUEUE_READY_STATUSES.has(session.status) || session.choiceMenu) return false;
+
+  // The screen can read idle for a moment after input, before Claude starts working
+  const wait = (lastInputTime.get(id) || 0) + QUEUE_SETTLE_MS - Date.now();
+  if (wait > 0) {
+    if (!queueRetryTimers.has(id)) {
+      queueRetryTimers.set(id, setTimeout(() => {
+        queueRetryTimers.delete(id);
+        deliverQueuedPrompt(id);
+      }, wait));
+    }
+    return false;
+  }
+
+  const item = queue.shift();
+  saveQueue(id);
+  return sendPrompt(id, item.text);
+}
+
+// ── WebSocket broadcast ──────────────────────────────────────────────────────
+
+function broadcastRaw(sessionId, data) {
+  const clients = wsClients.get(sessionId);
+  if (!clients) return;
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(data);
+  for (const ws of clients) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(buf);
+    }
+  }
+}
+
+// ── Event stream (SSE) ───────────────────────────────────────────────────────
+
+// sseClients: Set<Response> — open GET /events streams
+const sseClients = new Set();
+let sseEventId = 0;
+// updateTimers: Map<sessionId, Timeout> — trailing throttle for session-updated events
+const updateTimers = new Map();
+let sessionsChangedTimer = null;
+
+function emitEvent(type, data) {
+  const payload = `id: ${++sseEventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const res of sseClients) {
+    res.write(payload);
+  }
+}
+
+// Preview/activity changes on every pty chunk; push at most once per second
+function scheduleSessionUpdate(id) {
+  if (updateTimers.has(id)) return;
+  updateTimers.set(id, setTimeout(() => {
+    updateTimers.delete(id);
+    const session = activeSessions.get(id);
+    if (!session) return;
+    emitEvent('session-updated', {
+      id,
+      preview: session.preview,
+      lastActivity: session.lastActivity,
+    });
+  }, SESSION_UPDATE_THROTTLE_MS));
+}
+
+// Sessions appearing or changing on disk outside aiMessage; coalesce bursts
+function notifySessionsChanged() {
+  if (sessionsChangedTimer) return;
+  sessionsChangedTimer = setTimeout(() => {
+    sessionsChangedTimer = null;
+    invalidateSessionCache();
+    emitEvent('sessions-changed', {});
+  }, SESSIONS_CHANGED_THROTTLE_MS);
+}
+
+setInterval(() => {
+  for (const res of sseClients) {
+    res.write(': ping\n\n');
+  }
+}, EVENT_HEARTBEAT_MS);
+
+// ── Claude Code hooks ────────────────────────────────────────────────────────
+
+// Events we install hooks for. Claude Code pipes each event as JSON to the
+// hook command, which forwards it to POST /hooks/event.
+const HOOK_EVENTS = ['SessionStart', 'UserPromptSubmit', 'PreToolUse', 'PostToolUse', 'Notification', 'Stop', 'SessionEnd'];
+const HOOK_MARKER = '/hooks/event'; // Identifies our entries when reinstalling
+
+function hookCommand() {
+  return [
+    'curl -s -m 2 -X POST',
+    "-H 'Content-Type: application/json'",
+    `-H 'X-Aimessage-Hook-Token: ${authConfig.hookToken}'`,
+    '--data-binary @-',
+    `http://127.0.0.1:${PORT}${HOOK_MARKER}`,
+    '>/dev/null 2>&1 || true',
+  ].join(' ');
+}
+
+function isOurHookGroup(group) {
+  return Array.isArray(group && group.hooks)
+    && group.hooks.some(h => typeof h.command === 'string' && h.command.includes(HOOK_MARKER) && h.command.includes('X-Aimessage-Hook-Token'));
+}
+
+// Merge our hooks into <dir>/.claude/settings.local.json (personal, not committed,
+// since the command carries the hook token). Existing hooks are preserved.
+function installHooks(dir) {
+  const settingsDir = path.join(dir, '.claude');
+  const settingsPath = path.join(settingsDir, 'settings.local.json');
+
+  let settings = {};
+  if (fs.existsSync(settingsPath)) {
+    settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+  }
+  settings.hooks = settings.hooks || {};
+
+  for (const event of HOOK_EVENTS) {
+    const groups = (settings.hooks[event] || []).filter(g => !isOurHookGroup(g));
+    const group = { hooks: [{ type: 'command', command: hookCommand() }] };
+    if (event === 'PreToolUse' || event === 'PostToolUse') group.matcher = '*';
+    groups.push(group);
+    settings.hooks[event] = groups;
+  }
+
+  fs.mkdirSync(settingsDir, { recursive: true });
+  writeFileAtomic(settingsPath, JSON.stringify(settings, null, 2) + '\n');
+  return settingsPath;
+}
+
+function uninstallHooks(dir) {
+  const settingsPath = path.join(dir, '.claude', 'settings.local.json');
+  if (!fs.existsSync(settingsPath)) return false;
+  const settings = JSON.parse(fs.readFileSync(settingsPath, 'utf-8'));
+  if (!settings.hooks) return false;
+
+  for (const event of Object.keys(settings.hooks)) {
+    const groups = (settings.hooks[event] || []).filter(g => !isOurHookGroup(g));
+    if (groups.length) {
+      settings.hooks[event] = groups;
+    } else {
+      delete settings.hooks[event];
+    }
+  }
+  if (Object.keys(settings.hooks).length === 0) delete settings.hooks;
+
+  writeFileAtomic(settingsPath, JSON.stringify(settings, null, 2) + '\n');
+  return true;
+}
+
+// Short human-readable summary of a tool call for the preview line
+function describeToolUse(toolName, input) {
+  if (!input) return toolName;
+  const detail = input.command || input.file_path || input.path || input.pattern || input.url || input.description;
+  return detail ? `${toolName}: ${String(detail).split('\n')[0]}` : toolName;
+}
+
+// Notification carries either notification_type (newer) or only a message
+function notificationStatus(event) {
+  const type = event.notification_type || '';
+  const message = event.message || '';
+  if (type === 'permission_prompt' || /permission/i.test(message)) return 'awaiting-approval';
+  if (type === 'idle_prompt' || /waiting for your input/i.test(message)) return 'needs-input';
+  return 'needs-input';
+}
+
+// Running in a terminal outside aiMessage: we can watch it, but resuming it
+// here would start a second claude on a live conversation
+function isExternalSession(id) {
+  const session = activeSessions.get(id);
+  return !!(session && session.external);
+}
+
+// Stop tracking a session we only knew from hook events
+function forgetExternalSession(id) {
+  activeSessions.delete(id);
+  invalidateSessionCache();
+  emitEvent('sessions-changed', {});
+}
+
+function handleHookEvent(event) {
+  const id = event.session_id;
+  let session = activeSessions.get(id);
+  if (event.hook_event_name === 'SessionEnd') {
+    // Our own sessions are cleaned up when their pty exits
+    if (session && session.external) forgetExternalSession(id);
+    return;
+  }
+  if (!session) {
+    // Started outside aiMessage: track it from hook events alone
+    session = {
+      id,
+      status: 'idle',
+      lastActivity: new Date().toISOString(),
+      preview: null,
+      workingDir: event.cwd || null,
+      external: true,
+    };
+    activeSessions.set(id, session);
+    invalidateSessionCache();
+    emitEvent('sessions-changed', {});
+  }
+
+  session.hooked = true;
+  session.lastActivity = new Date().toISOString();
+
+  switch (event.hook_event_name) {
+    case 'SessionStart':
+      setSessionStatus(id, 'idle');
+      break;
+    case 'UserPromptSubmit':
+      if (event.prompt) session.preview = event.prompt.trim().substring(0, 150);
+      setSessionStatus(id, 'running');
+      break;
+    case 'PreToolUse':
+    case 'PostToolUse':
+      session.lastTool = { name: event.tool_name, at: session.lastActivity };
+      session.preview = describeToolUse(event.tool_name, event.tool_input).substring(0, 150);
+      setSessionStatus(id, 'running');
+      break;
+    case 'Notification':
+      if (event.message) session.preview = event.message.substring(0, 150);
+      setSessionStatus(id, notificationStatus(event));
+      break;
+    case 'Stop':
+      setSessionStatus(id, 'idle');
+      break;
+  }
+
+  emitEvent('session-updated', {
+    id,
+    preview: session.preview,
+    lastActivity: session.lastActivity,
+    lastTool: session.lastTool || null,
+  });
+}
+
+// ── Notifications (Web Push) ─────────────────────────────────────────────────
+
+// VAPID keys are generated once and kept in META_DIR so browser
+// subscriptions survive restarts.
+function loadVapidKeys() {
+  ensureMetaDir();
+  try {
+    if (fs.existsSync(VAPID_FILE)) {
+      return JSON.parse(fs.readFileSync(VAPID_FILE, 'utf-8'));
+    }
+  } catch (err) {
+    console.error('Failed to load vapid.json:', err.message);
+  }
+  const keys = webpush.generateVAPIDKeys();
+  try {
+    writeFileAtomic(VAPID_FILE, JSON.stringify(keys, null, 2), 0o600);
+  } catch (err) {
+    console.error('Failed to save vapid.json:', err.message);
+  }
+  return keys;
+}
+
+const vapidKeys = loadVapidKeys();
+webpush.setVapidDetails(
+  process.env.AIMESSAGE_VAPID_SUBJECT || 'mailto:aimessage@localhost',
+  vapidKeys.publicKey,
+  vapidKeys.privateKey
+);
+
+function loadPushSubscriptions() {
+  try {
+    if (!fs.existsSync(PUSH_FILE)) return [];
+    return JSON.parse(fs.readFileSync(PUSH_FILE, 'utf-8'));
+  } catch (err) {
+    console.error('Failed to load push-subscriptions.json:', err.message);
+    return [];
+  }
+}
+
+function savePushSubscriptions(subscriptions) {
+  ensureMetaDir();
+  try {
+    writeFileAtomic(PUSH_FILE, JSON.stringify(subscriptions, null, 2));
+  } catch (err) {
+    console.error('Failed to save push-subscriptions.json:', err.message);
+  }
+}
+
+// lastNotified: Map<sessionId, { status, at }> — suppresses flapping status
+const lastNotified = new Map();
+
+// Which transitions are worth interrupting someone for
+function notificationFor(previous, status) {
+  if (status === 'needs-input') return 'is waiting for your input';
+  if (status === 'awaiting-approval') return 'needs permission to continue';
+  if (status === 'error') return 'hit an error';
+  if (previous === 'running' && (status === 'idle' || status === 'done')) return 'finished';
+  return null;
+}
+
+// Sessions notify unless muted themselves or via their project
+function isSessionMuted(meta, id) {
+  const sessionMeta = meta.sessions[id] || {};
+  if (sessionMeta.muted) return true;
+  const project = sessionMeta.project && meta.projects[sessionMeta.project];
+  return !!(project && project.muted);
+}
+
+function notifyStatusChange(id, previous, status) {
+  const action = notificationFor(previous, status);
+  if (!action) return;
+
+  const now = Date.now();
+  const last = lastNotified.get(id);
+  if (last && last.status === status && now - last.at < NOTIFY_REPEAT_MS) return;
+  lastNotified.set(id, { status, at: now });
+
+  if (isSessionMuted(cachedMeta(), id)) return;
+
+  const subscriptions = loadPushSubscriptions();
+  if (subscriptions.length === 0) return;
+
+  const session = peekSession(id);
+  const active = activeSessions.get(id);
+  const name = (session && session.name) || (active && active.name) || 'Session';
+  const payload = JSON.stringify({
+    title: `${name} ${action}`,
+    body: (active && active.preview) || (session && session.preview) || '',
+    sessionId: id,
+    status,
+    url: `/session/${id}`,
+  });
+
+  for (const subscription of subscriptions) {
+    webpush.sendNotification(subscription, payload).catch((err) => {
+      // 404/410: the browser dropped this subscription
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        savePushSubscriptions(loadPushSubscriptions().filter(s => s.endpoint !== subscription.endpoint));
+      } else {
+        console.error('Push notification failed:', err.message);
+      }
+    });
+  }
+}
+
+// ── Webhooks ─────────────────────────────────────────────────────────────────
+//
+// Outgoing POSTs for session lifecycle events, registered in meta.webhooks as
+// { id, url, events, secret, disabled?, createdAt }. Each body is signed with
+// the hook's secret: X-Aimessage-Signature: sha256=<hex HMAC-SHA256 of body>.
+// Failed deliveries are retried with exponential backoff, in memory only.
+
+const WEBHOOK_EVENTS = ['session.created', 'session.status', 'session.error', 'session.archived', 'session.deleted'];
+
+// webhookResults: Map<webhookId, { at, ok, attempts, status?, error? }> — last delivery
+const webhookResults = new Map();
+
+// Validate a webhook body. Returns { webhook } or { error }. With `partial`
+// (PATCH), fields missing from the body are left out rather than defaulted.
+function parseWebhook(body, partial) {
+  const { url: target, events, secret, disabled } = body || {};
+  const webhook = {};
+
+  if (target !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(target);
+    } catch {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    webhook.url = parsed.href;
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e))) {
+      return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    webhook.events = [...new Set(events)];
+  } else if (!partial) {
+    webhook.events = [...WEBHOOK_EVENTS];
+  }
+
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || !secret) return { error: 'secret must be a non-empty string' };
+    webhook.secret = secret;
+  } else if (!partial) {
+    webhook.secret = crypto.randomBytes(32).toString('hex');
+  }
+
+  if (disabled !== undefined) webhook.disabled = !!disabled;
+  return { webhook };
+}
+
+// What GET /webhooks shows: everything but the secret, plus the last delivery
+function describeWebhook(hook) {
+  const { secret, ...rest } = hook;
+  return { ...rest, lastDelivery: webhookResults.get(hook.id) || null };
+}
+
+// 4xx means the receiver rejected the request itself (bad URL, bad
+// signature): sending it again won't help, except after a timeout or throttle
+function isRetryableStatus(status) {
+  return !status || status >= 500 || status === 408 || status === 429;
+}
+
+function signWebhook(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function deliverWebhook(hook, event, deliveryId, body, attempt = 1) {
+  fetch(hook.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'aiMessage-Webhook',
+      'X-Aimessage-Event': event,
+      'X-Aimessage-Delivery': deliveryId,
+      'X-Aimessage-Signature': signWebhook(hook.secret, body),
+    },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  }).then((res) => {
+    if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
+    webhookResults.set(hook.id, { at: new Date().toISOString(), ok: true, attempts: attempt, status: res.status });
+  }).catch((err) => {
+    webhookResults.set(hook.id, {
+      at: new Date().toISOString(),
+      ok: false,
+      attempts: attempt,
+      status: err.status || null,
+      error: err.message,
+    });
+    if (!isRetryableStatus(err.status)) {
+      console.error(`Webhook ${event} to ${hook.url} was rejected:`, err.message);
+      return;
+    }
+    if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+      console.error(`Webhook ${event} to ${hook.url} failed after ${attempt} attempts:`, err.message);
+      return;
+    }
+    setTimeout(() => deliverWebhook(hook, event, deliveryId, body, attempt + 1),
+      WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+  });
+}
+
+// Session fields every payload carries
+function webhookSession(id) {
+  const session = peekSession(id);
+  if (!session) return { id };
+  const active = activeSessions.get(id);
+  return {
+    id,
+    name: session.name,
+    project: session.group || null,
+    workingDir: session.workingDir || null,
+    status: (active && active.status) || session.status,
+  };
+}
+
+// POST `event` about session `id` to every enabled hook subscribed to it
+function fireWebhook(event, id, data = {}) {
+  const targets = (cachedMeta().webhooks || []).filter(h => !h.disabled && h.events.includes(event));
+  if (targets.length === 0) return;
+
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify({
+    id: deliveryId,
+    event,
+    timestamp: new Date().toISOString(),
+    session: webhookSession(id),
+    data,
+  });
+  for (const hook of targets) deliverWebhook(hook, event, deliveryId, body);
+}
+
+// pendingStatusWebhooks: Map<sessionId, { previous, timer }> — session.status
+// deliveries waiting for the status to settle
+const pendingStatusWebhooks = new Map();
+
+// Send session.status once the new status has held for WEBHOOK_STATUS_SETTLE_MS,
+// so running↔idle flapping becomes one delivery, or none if it ends where it began
+function queueStatusWebhook(id, previous, status) {
+  const pending = pendingStatusWebhooks.get(id);
+  if (pending) clearTimeout(pending.timer);
+  const from = pending ? pending.previous : previous;
+  pendingStatusWebhooks.set(id, {
+    previous: from,
+    timer: setTimeout(() => {
+      pendingStatusWebhooks.delete(id);
+      if (status !== from) fireWebhook('session.status', id, { status, previous: from });
+    }, WEBHOOK_STATUS_SETTLE_MS),
+  });
+}
+
+function cancelStatusWebhook(id) {
+  const pending = pendingStatusWebhooks.get(id);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingStatusWebhooks.delete(id);
+}
+
+// ── Tags ─────────────────────────────────────────────────────────────────────
+//
+// Cross-cutting labels: meta.tags maps name → { color } and a session lists
+// its tags in meta.sessions[id].tags. Unlike projects, a session can have any
+// number of them, and they don't affect where it runs.
+
+// Validate one tag name. Returns { name } or { error }.
+function parseTagName(input) {
+  const name = typeof input === 'string' ? input.trim() : '';
+  if (!name) return { error: 'Tag name required' };
+  if (name.length > TAG_NAME_MAX) return { error: `Tag names are at most ${TAG_NAME_MAX} characters` };
+  if (name.includes(',')) return { error: 'Tag names cannot contain commas' };
+  return { name };
+}
+
+// Validate an optional color. Returns { color } (undefined if not given) or
+// { error }. Colors end up in inline styles, so only #rrggbb gets through.
+function parseTagColor(input) {
+  if (input === undefined) return { color: undefined };
+  if (typeof input !== 'string' || !/^#[0-9a-f]{6}$/i.test(input)) {
+    return { error: 'color must be a hex color like #FF6B6B' };
+  }
+  return { color: input };
+}
+
+// Validate a session's tag list. Returns { tags } (deduplicated) or { error }.
+function parseTagList(input) {
+  if (input === null) return { tags: [] };
+  if (!Array.isArray(input)) return { error: 'tags must be an array of names' };
+  const tags = [];
+  for (const value of input) {
+    const parsed = parseTagName(value);
+    if (parsed.error) return parsed;
+    if (!tags.includes(parsed.name)) tags.push(parsed.name);
+  }
+  return { tags };
+}
+
+function nextTagColor(meta) {
+  return PROJECT_COLORS[Object.keys(meta.tags || {}).length % PROJECT_COLORS.length];
+}
+
+// Tag names from ?tag=a&tag=b or ?tag=a,b
+function tagsFromQuery(query) {
+  return [].concat(query || [])
+    .flatMap(value => String(value).split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+}
+
+// ── Snippets ─────────────────────────────────────────────────────────────────
+//
+// Reusable prompts in snippets.json. `project: null` is global; otherwise the
+// snippet only shows up for that project's sessions. Text may contain
+// {{variable}} placeholders, filled in by renderSnippet.
+
+const SNIPPET_VARIABLE_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+function loadSnippets() {
+  try {
+    if (!fs.existsSync(SNIPPETS_FILE)) return [];
+    return JSON.parse(fs.readFileSync(SNIPPETS_FILE, 'utf-8'));
+  } catch (err) {
+    console.error('Failed to load snippets.json:', err.message);
+    return [];
+  }
+}
+
+function saveSnippets(snippets) {
+  ensureMetaDir();
+  try {
+    writeFileAtomic(SNIPPETS_FILE, JSON.stringify(snippets, null, 2));
+  } catch (err) {
+    console.error('Failed to save snippets.json:', err.message);
+  }
+}
+
+// Values for {{workingDir}}, {{branch}}, {{sessionName}}, {{project}} and {{date}}
+async function snippetVariables({ workingDir, sessionName, project }) {
+  let branch = '';
+  if (workingDir && fs.existsSync(workingDir)) {
+    branch = await git(workingDir, ['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => '');
+  }
+  return {
+    workingDir: workingDir || '',
+    branch,
+    sessionName: sessionName || '',
+    project: project || '',
+    date: new Date().toISOString().slice(0, 10),
+  };
+}
+
+// Fill placeholders; unknown ones are left as written
+function renderSnippet(text, variables) {
+  return text.replace(SNIPPET_VARIABLE_RE, (match, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match);
 }
 
 // ── Express app ──────────────────────────────────────────────────────────────
 
-const app = express();
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+const app = express();
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+
+// SPA catch-all: serve index.html for client-side routes
+app.get('/session/:id', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+app.get('/project/:name', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// GET /auth/status — Whether the caller is logged in
+app.get('/auth/status', (req, res) => {
+  res.json({ authenticated: isAuthenticated(req) });
+});
+
+// POST /auth/login — Exchange the passphrase for a session cookie
+app.post('/auth/login', (req, res) => {
+  const ip = req.socket.remoteAddress;
+  if (isLockedOut(ip)) {
+    return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+  }
+
+  const { passphrase } = req.body || {};
+  if (!passphrase || !safeEqual(passphrase, authConfig.passphrase)) {
+    recordAuthFailure(ip);
+    return res.status(401).json({ error: 'Wrong passphrase' });
+  }
+
+  loginFailures.delete(ip);
+  res.setHeader('Set-Cookie', authCookie(req, createAuthToken(), AUTH_SESSION_TTL_MS));
+  res.json({ ok: true });
+});
+
+// POST /auth/logout — Clear the session cookie
+app.post('/auth/logout', (req, res) => {
+  res.setHeader('Set-Cookie', authCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+// POST /hooks/event — Lifecycle events from Claude Code hooks (see installHooks).
+// Authenticated by the hook token rather than the login cookie.
+app.post('/hooks/event', (req, res) => {
+  const token = req.get('X-Aimessage-Hook-Token');
+  if (!token || !safeEqual(token, authConfig.hookToken)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const event = req.body || {};
+  if (!HOOK_EVENTS.includes(event.hook_event_name)) {
+    return res.status(400).json({ error: 'Unknown hook event' });
+  }
+  if (!event.session_id || !/^[\w-]+$/.test(event.session_id)) {
+    return res.status(400).json({ error: 'session_id required' });
+  }
+
+  handleHookEvent(event);
+  res.json({ ok: true });
+});
+
+// Everything below requires a logged-in session
+app.use(requireAuth);
+
+// GET /events — Server-sent events for session list changes
+app.get('/events', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write('retry: 3000\n\n');
+  sseClients.add(res);
+
+  req.on('close', () => {
+    sseClients.delete(res);
+  });
+});
+
+// GET /push/vapid-public-key — Key the browser needs to create a push subscription
+app.get('/push/vapid-public-key', (req, res) => {
+  res.json({ publicKey: vapidKeys.publicKey });
+});
+
+// POST /push/subscribe — Register a browser push subscription
+app.post('/push/subscribe', (req, res) => {
+  const { subscription } = req.body || {};
+  if (!subscription || !subscription.endpoint || !subscription.keys) {
+    return res.status(400).json({ error: 'Subscription required' });
+  }
+  const subscriptions = loadPushSubscriptions().filter(s => s.endpoint !== subscription.endpoint);
+  subscriptions.push(subscription);
+  savePushSubscriptions(subscriptions);
+  res.json({ ok: true });
+});
+
+// POST /push/unsubscribe — Remove a browser push subscription
+app.post('/push/unsubscribe', (req, res) => {
+  const { endpoint } = req.body || {};
+  if (!endpoint) return res.status(400).json({ error: 'Endpoint required' });
+  savePushSubscriptions(loadPushSubscriptions().filter(s => s.endpoint !== endpoint));
+  res.json({ ok: true });
+});
+
+// GET /webhooks — Registered webhooks (secrets omitted) and their last delivery
+app.get('/webhooks', (req, res) => {
+  res.json((loadMeta().webhooks || []).map(describeWebhook));
+});
+
+// POST /webhooks — Register a webhook. Body: { url, events?, secret? }.
+// The secret is generated if not given and only returned here.
+app.post('/webhooks', (req, res) => {
+  const parsed = parseWebhook(req.body, false);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const hook = { id: crypto.randomUUID(), ...parsed.webhook, createdAt: new Date().toISOString() };
+  updateMeta((meta) => {
+    meta.webhooks = [...(meta.webhooks || []), hook];
+  });
+  res.status(201).json(hook);
+});
+
+// PATCH /webhooks/:id — Update url, events, secret or disabled
+app.patch('/webhooks/:id', (req, res) => {
+  const parsed = parseWebhook(req.body, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  let hook;
+  updateMeta((meta) => {
+    hook = (meta.webhooks || []).find(h => h.id === req.params.id);
+    if (!hook) return false;
+    Object.assign(hook, parsed.webhook);
+    if (!hook.disabled) delete hook.disabled;
+  });
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+  res.json(describeWebhook(hook));
+});
+
+// DELETE /webhooks/:id
+app.delete('/webhooks/:id', (req, res) => {
+  let found = false;
+  updateMeta((meta) => {
+    const hooks = meta.webhooks || [];
+    found = hooks.some(h => h.id === req.params.id);
+    if (!found) return false;
+    meta.webhooks = hooks.filter(h => h.id !== req.params.id);
+    if (meta.webhooks.length === 0) delete meta.webhooks;
+  });
+  if (!found) return res.status(404).json({ error: 'Webhook not found' });
+  webhookResults.delete(req.params.id);
+  res.json({ ok: true });
+});
+
+// POST /webhooks/:id/test — Send a webhook.ping delivery, whatever its events
+app.post('/webhooks/:id/test', (req, res) => {
+  const hook = (loadMeta().webhooks || []).find(h => h.id === req.params.id);
+  if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+
+  const deliveryId = crypto.randomUUID();
+  const body = JSON.stringify({ id: deliveryId, event: 'webhook.ping', timestamp: new Date().toISOString(), data: {} });
+  deliverWebhook(hook, 'webhook.ping', deliveryId, body);
+  res.json({ ok: true });
+});
+
+// GET /sessions — List all sessions from Claude Code's native storage
+app.get('/sessions', (req, res) => {
+  const includeArchived = req.query.archived === 'true';
+  const tags = tagsFromQuery(req.query.tag);
+  const list = loadSessionIndex(includeArchived);
+  res.json(tags.length ? list.filter(s => tags.every(tag => s.tags.includes(tag))) : list);
+});
+
+// GET /usage — Token usage and estimated cost, in total, per project and per session
+// Query: project, from, to (YYYY-MM-DD, inclusive)
+app.get('/usage', (req, res) => {
+  const from = req.query.from ? String(req.query.from) : null;
+  const to = req.query.to ? String(req.query.to) : null;
+  if ((from && !USAGE_DAY_RE.test(from)) || (to && !USAGE_DAY_RE.test(to))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+  }
+  const project = req.query.project ? String(req.query.project) : null;
+
+  const all = [];
+  const projects = new Map();
+  const sessions = [];
+  for (const session of loadSessionIndex(true)) {
+    if (project && session.group !== project) continue;
+    const records = usageRecords(session.id, from, to);
+    if (records.length === 0) continue;
+
+    all.push(...records);
+    const key = session.group || null;
+    if (!projects.has(key)) projects.set(key, { records: [], sessions: 0 });
+    projects.get(key).records.push(...records);
+    projects.get(key).sessions++;
+    sessions.push({ id: session.id, name: session.name, group: session.group, ...summarizeUsage(records) });
+  }
+
+  sessions.sort((a, b) => b.cost - a.cost);
+  res.json({
+    project,
+    from,
+    to,
+    total: summarizeUsage(all),
+    projects: [...projects].map(([name, p]) => ({ project: name, sessions: p.sessions, ...summarizeUsage(p.records) })),
+    sessions,
+  });
+});
+
+// GET /sessions/:id — Get single session
+app.get('/sessions/:id', (req, res) => {
+  const id = req.params.id;
+  const list = loadSessionIndex();
+  const session = list.find(s => s.id === id);
+  if (!session) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json(session);
+});
+
+// GET /sessions/:id/transcript — Parsed conversation history from the jsonl
+// Query: cursor (byte offset from a previous page's nextCursor), limit
+app.get('/sessions/:id/transcript', (req, res) => {
+  const jsonlPath = findSessionFile(req.params.id);
+  if (!jsonlPath) {
+    return res.status(404).json({ error: 'Transcript not found' });
+  }
+
+  const cursor = Math.max(0, parseInt(req.query.cursor, 10) || 0);
+  const limit = Math.min(
+    Math.max(parseInt(req.query.limit, 10) || TRANSCRIPT_PAGE_SIZE, 1),
+    TRANSCRIPT_MAX_PAGE_SIZE
+  );
+
+  try {
+    const page = readTranscriptPage(jsonlPath, cursor, limit);
+    res.json({ sessionId: req.params.id, ...page });
+  } catch (err) {
+    console.error(`Failed to read transcript for ${req.params.id}:`, err.message);
+    res.status(500).json({ error: 'Failed to read transcript' });
+  }
+});
+
+// POST /sessions/:id/fork — Branch a new session off another's conversation
+app.post('/sessions/:id/fork', (req, res) => {
+  const parentId = req.params.id;
+  const parent = findSession(parentId);
+  if (!parent) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  // --resume needs a transcript under this id
+  if (!findSessionFile(parentId)) {
+    return res.status(409).json({ error: 'Session has no conversation to fork yet' });
+  }
+
+  const id = crypto.randomUUID();
+  const cwd = parent.workingDir || process.env.HOME;
+  const now = new Date().toISOString();
+  const name = `${parent.name || 'Untitled'} (fork)`;
+
+  // The fork inherits the parent's project and launch overrides
+  const meta = updateMeta((meta) => {
+    const parentMeta = meta.sessions[parentId] || {};
+    meta.sessions[id] = { customName: name, forkOf: parentId };
+    if (parentMeta.project) meta.sessions[id].project = parentMeta.project;
+    if (parentMeta.launch) meta.sessions[id].launch = parentMeta.launch;
+  });
+
+  const session = {
+    id,
+    name,
+    group: parent.group || null,
+    status: 'running',
+    createdAt: now,
+    lastActivity: now,
+    preview: null,
+    workingDir: cwd,
+    messageCount: 0,
+    forkOf: parentId,
+  };
+
+  activeSessions.set(id, session);
+  scrollbackBuffers.set(id, Buffer.alloc(0));
+  wsClients.set(id, new Set());
+
+  spawnSession(id, cwd, launchProfileFor(meta, id), parentId);
+
+  invalidateSessionCache();
+  emitEvent('session-created', { session });
+  fireWebhook('session.created', id, { forkOf: parentId });
+  res.status(201).json(session);
+});
+
+// POST /sessions/:id/worktree — Merge or remove a session's worktree ({ action })
+app.post('/sessions/:id/worktree', async (req, res) => {
+  const { action } = req.body;
+  if (!WORKTREE_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${WORKTREE_ACTIONS.join(', ')}` });
+  }
+  const sessionMeta = loadMeta().sessions[req.params.id];
+  if (!sessionMeta || !sessionMeta.worktree) {
+    return res.status(404).json({ error: 'Session has no worktree' });
+  }
+
+  try {
+    await finishWorktree(req.params.id, action);
+    emitEvent('session-meta', { id: req.params.id });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(`Failed to ${action} worktree for ${req.params.id}:`, err.message);
+    res.status(409).json({ error: err.message });
+  }
+});
+
+// GET /sessions/:id/git — Branch, ahead/behind and changed files with diffs
+app.get('/sessions/:id/git', async (req, res) => {
+  const entry = findSession(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const dir = entry.workingDir;
+  if (!dir || !fs.existsSync(dir)) {
+    return res.status(404).json({ error: 'Working directory not found' });
+  }
+
+  try {
+    await git(dir, ['rev-parse', '--is-inside-work-tree']);
+  } catch {
+    return res.status(404).json({ error: 'Not a git repository' });
+  }
+
+  try {
+    res.json({ workingDir: dir, ...(await gitStatus(dir)) });
+  } catch (err) {
+    console.error(`Failed to read git status for ${req.params.id}:`, err.message);
+    res.status(500).json({ error: 'Failed to read git status' });
+  }
+});
+
+// Shared by /files and /file: the session's directory and the requested path
+// inside it, or an error response already sent
+function resolveSessionRequest(req, res) {
+  const entry = findSession(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  const root = entry.workingDir;
+  if (!root || !fs.existsSync(root)) {
+    res.status(404).json({ error: 'Working directory not found' });
+    return null;
+  }
 
-// GET /sessions — List all sessions from Claude Code's native storage
-app.get('/sessions', (req, res) => {
-  const includeArchived = req.query.archived === 'true';
-  const list = loadSessionIndex(includeArchived);
-  res.json(list);
+  let target;
+  try {
+    target = resolveSessionPath(root, req.query.path);
+  } catch {
+    res.status(404).json({ error: 'File not found' });
+    return null;
+  }
+  if (!target) {
+    res.status(403).json({ error: 'Path is outside the working directory' });
+    return null;
+  }
+  const realRoot = fs.realpathSync(root);
+  return { root, target, rel: path.relative(realRoot, target).split(path.sep).join('/') };
+}
+
+// GET /sessions/:id/files — List a directory in the session's working dir. Query: path
+app.get('/sessions/:id/files', (req, res) => {
+  const resolved = resolveSessionRequest(req, res);
+  if (!resolved) return;
+
+  try {
+    if (!fs.statSync(resolved.target).isDirectory()) {
+      return res.status(400).json({ error: 'Not a directory' });
+    }
+    res.json({ workingDir: resolved.root, path: resolved.rel, ...listDirectory(resolved.target) });
+  } catch (err) {
+    console.error(`Failed to list ${resolved.target}:`, err.message);
+    res.status(500).json({ error: 'Failed to list directory' });
+  }
 });
 
-// GET /sessions/:id — Get single session
-app.get('/sessions/:id', (req, res) => {
-  const id = req.params.id;
-  const list = loadSessionIndex();
-  const session = list.find(s => s.id === id);
-  if (!session) {
-    return res.status(404).json({ error: 'Session not found' });
+// GET /sessions/:id/file — Read a file in the session's working dir. Query: path
+app.get('/sessions/:id/file', (req, res) => {
+  const resolved = resolveSessionRequest(req, res);
+  if (!resolved) return;
+
+  try {
+    const stat = fs.statSync(resolved.target);
+    if (!stat.isFile()) {
+      return res.status(400).json({ error: 'Not a file' });
+    }
+    res.json({
+      path: resolved.rel,
+      size: stat.size,
+      modified: stat.mtime.toISOString(),
+      ...readFilePreview(resolved.target, stat.size),
+    });
+  } catch (err) {
+    console.error(`Failed to read ${resolved.target}:`, err.message);
+    res.status(500).json({ error: 'Failed to read file' });
   }
-  res.json(session);
+});
+
+// GET /sessions/:id/export — Download the transcript. Query: format=md|html|json
+app.get('/sessions/:id/export', (req, res) => {
+  const format = req.query.format || 'md';
+  if (!Object.hasOwn(EXPORT_FORMATS, format)) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+  const jsonlPath = findSessionFile(req.params.id);
+  if (!jsonlPath) {
+    return res.status(404).json({ error: 'Transcript not found' });
+  }
+
+  try {
+    const { messages } = readTranscriptPage(jsonlPath, 0, Infinity);
+    const entry = findSession(req.params.id); // Archived sessions too
+    const info = {
+      id: req.params.id,
+      name: entry ? entry.name : req.params.id,
+      group: entry ? entry.group : null,
+      workingDir: entry ? entry.workingDir : null,
+      exportedAt: new Date().toISOString(),
+    };
+
+    const filename = (info.name.replace(/[^\w .-]+/g, '').trim().replace(/\s+/g, '-') || info.id).slice(0, 80);
+    res.type(EXPORT_FORMATS[format].type);
+    res.attachment(`${filename}.${format}`);
+    res.send(EXPORT_FORMATS[format].render(info, messages));
+  } catch (err) {
+    console.error(`Failed to export ${req.params.id}:`, err.message);
+    res.status(500).json({ error: 'Failed to export transcript' });
+  }
+});
+
+// GET /sessions/:id/recording.cast — asciicast v2 recording of the terminal
+app.get('/sessions/:id/recording.cast', (req, res) => {
+  if (!/^[\w-]+$/.test(req.params.id)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  flushRecordings(); // Include output from the last second
+
+  const file = recordingPath(req.params.id);
+  if (!fs.existsSync(file)) {
+    return res.status(404).json({ error: 'Recording not found' });
+  }
+  res.type('application/x-asciicast');
+  res.sendFile(file, { dotfiles: 'allow' }, (err) => { // META_DIR lives under ~/.config
+    if (err && !res.headersSent) {
+      console.error(`Failed to send recording for ${req.params.id}:`, err.message);
+      res.status(500).json({ error: 'Failed to read recording' });
+    }
+  });
 });
 
 // POST /sessions — Create a new session
-app.post('/sessions', (req, res) => {
-  const { name, group, workingDir, message } = req.body;
+app.post('/sessions', async (req, res) => {
+  const { name, group, workingDir, message, launch, isolate } = req.body;
+
+  // Optional one-off overrides of the project's launch profile
+  let launchOverride = null;
+  if (launch !== undefined) {
+    const parsed = parseLaunchProfile(launch);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    launchOverride = parsed.profile;
+  }
 
   const id = crypto.randomUUID();
-  const cwd = workingDir || process.env.HOME;
+  let cwd = workingDir || process.env.HOME;
   const now = new Date().toISOString();
 
+  // Optionally isolate the session in its own git worktree and branch
+  let worktree = null;
+  if (isolate) {
+    try {
+      ({ worktree, cwd } = await createWorktree(cwd, id, name));
+    } catch (err) {
+      console.error('Failed to create worktree:', err.message);
+      return res.status(400).json({ error: `Failed to create worktree: ${err.message}` });
+    }
+  }
+
   // Track in activeSessions for runtime state
   const session = {
     id,
@@ -640,17 +3317,16 @@ app.post('/sessions', (req, res) => {
     preview: null,
     workingDir: cwd,
     messageCount: 0,
+    worktree,
   };
 
   activeSessions.set(id, session);
   scrollbackBuffers.set(id, Buffer.alloc(0));
   wsClients.set(id, new Set());
 
-  spawnSession(id, cwd);
-
-  // Persist metadata if a project or custom name was specified
-  if (group || (name && name !== 'New Session')) {
-    const meta = loadMeta();
+  // Persist metadata if a project, custom name, launch override or worktree was specified
+  const meta = updateMeta((meta) => {
+    if (!(group || (name && name !== 'New Session') || launchOverride || worktree)) return false;
     meta.sessions[id] = meta.sessions[id] || {};
     if (group) {
       meta.sessions[id].project = group;
@@ -658,28 +3334,38 @@ app.post('/sessions', (req, res) => {
     if (name && name !== 'New Session' && name !== 'Untitled') {
       meta.sessions[id].customName = name;
     }
-    saveMeta(meta);
-  }
+    if (launchOverride) {
+      meta.sessions[id].launch = launchOverride; // Kept so resumes launch the same way
+    }
+    if (worktree) {
+      meta.sessions[id].worktree = worktree;
+    }
+  });
+
+  spawnSession(id, cwd, launchProfileFor(meta, id, group));
 
   invalidateSessionCache();
+  emitEvent('session-created', { session });
+  fireWebhook('session.created', id);
 
-  // Send initial message to pty after process starts
+  // Initial message goes in as soon as Claude is ready for input
   if (message) {
-    setTimeout(() => {
-      const proc = ptyProcesses.get(id);
-      if (proc) {
-        proc.write(message + '\n');
-      }
-    }, 1500);
+    enqueuePrompt(id, message);
   }
 
   res.status(201).json(session);
 });
 
-// DELETE /sessions/:id — Kill session
-app.delete('/sessions/:id', (req, res) => {
+// DELETE /sessions/:id — Kill session. Query: worktree=keep|merge|remove (default keep)
+app.delete('/sessions/:id', async (req, res) => {
   const id = req.params.id;
 
+  // What to do with the session's worktree, if it has one
+  const worktreeAction = req.query.worktree || 'keep';
+  if (!WORKTREE_ACTIONS.includes(worktreeAction)) {
+    return res.status(400).json({ error: `worktree must be one of: ${WORKTREE_ACTIONS.join(', ')}` });
+  }
+
   // Kill the pty process
   const proc = ptyProcesses.get(id);
   if (proc) {
@@ -689,7 +3375,7 @@ app.delete('/sessions/:id', (req, res) => {
 
   // Kill the tmux session
   try {
-    execSync(`tmux kill-session -t ${tmuxName(id)} 2>/dev/null`);
+    await tmux.killSession(tmuxName(id));
   } catch {
     // Already dead, that's fine
   }
@@ -702,48 +3388,284 @@ app.delete('/sessions/:id', (req, res) => {
     }
   }
 
+  cancelStatusWebhook(id);
+  fireWebhook('session.deleted', id); // While the session's name etc. are still known
+
   // Cleanup runtime state
   activeSessions.delete(id);
   scrollbackBuffers.delete(id);
+  removeScrollbackLog(id);
+  removeRecording(id);
   wsClients.delete(id);
   lastOutputTime.delete(id);
   lastInputTime.delete(id);
+  clearPromptQueue(id);
   invalidateSessionCache();
+  emitEvent('session-deleted', { id });
+
+  // Only now that nothing runs in the worktree
+  try {
+    await finishWorktree(id, worktreeAction);
+  } catch (err) {
+    console.error(`Failed to ${worktreeAction} worktree for ${id}:`, err.message);
+    return res.status(409).json({ error: `Session stopped, but the worktree was kept: ${err.message}` });
+  }
 
   res.json({ ok: true });
 });
 
-// PATCH /sessions/:id/meta — Update session metadata (custom name, project, pin, archive)
+// PATCH /sessions/:id/meta — Update session metadata (custom name, project, pin, archive, mute)
 app.patch('/sessions/:id/meta', (req, res) => {
-  const meta = loadMeta();
   const id = req.params.id;
-  const updates = req.body; // { customName?, project?, pinned?, archived? }
+  const updates = req.body || {}; // { customName?, project?, pinned?, archived?, muted?, tags? }
+  if (typeof updates !== 'object' || Array.isArray(updates)) {
+    return res.status(400).json({ error: 'Body must be a JSON object' });
+  }
+
+  const parsedTags = 'tags' in updates ? parseTagList(updates.tags) : null;
+  if (parsedTags && parsedTags.error) return res.status(400).json({ error: parsedTags.error });
+
+  let tagsCreated = false;
+  let wasArchived = false;
+  updateMeta((meta) => {
+    if (!meta.sessions[id]) {
+      meta.sessions[id] = {};
+    }
+    wasArchived = !!meta.sessions[id].archived;
+
+    // Tags not seen before are created on the fly
+    if (parsedTags) {
+      for (const tag of parsedTags.tags) {
+        if (meta.tags && meta.tags[tag]) continue;
+        meta.tags = { ...meta.tags, [tag]: { color: nextTagColor(meta) } };
+        tagsCreated = true;
+      }
+      if (parsedTags.tags.length) meta.sessions[id].tags = parsedTags.tags;
+      else delete meta.sessions[id].tags;
+    }
+
+    // Only store non-null values (sparse storage)
+    for (const [key, value] of Object.entries(updates)) {
+      if (['customName', 'project', 'pinned', 'archived', 'muted'].includes(key)) {
+        if (value === null || value === undefined || value === '' || value === false) {
+          delete meta.sessions[id][key];
+        } else {
+          meta.sessions[id][key] = value;
+        }
+      }
+    }
+
+    // Clean up empty session entries
+    if (Object.keys(meta.sessions[id]).length === 0) {
+      delete meta.sessions[id];
+    }
+  });
+  invalidateSessionCache();
+  if ('archived' in updates) {
+    emitEvent('session-archived', { id, archived: !!updates.archived });
+    if (updates.archived && !wasArchived) fireWebhook('session.archived', id);
+  } else {
+    emitEvent('session-meta', { id });
+  }
+  if (tagsCreated) emitEvent('tags-changed', {});
+  res.json({ ok: true });
+});
 
-  if (!meta.sessions[id]) {
-    meta.sessions[id] = {};
+// POST /broadcast — Send input to several sessions at once
+// Body: { sessions: [id, ...] | project: name, text?, keys?: ['ctrl-c', 'escape', ...] }
+// Keys go first, then text (submitted with Enter). Sessions without a pty are
+// reattached or resumed; a resumed one gets the text queued for when it's ready.
+app.post('/broadcast', async (req, res) => {
+  const { sessions, project, text } = req.body || {};
+  if (text !== undefined && (typeof text !== 'string' || !text.trim())) {
+    return res.status(400).json({ error: 'text must be a non-empty string' });
+  }
+  const parsed = parseKeys((req.body || {}).keys);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { keys } = parsed;
+  if (!text && keys.length === 0) {
+    return res.status(400).json({ error: 'Nothing to send: give text or keys' });
   }
 
-  // Only store non-null values (sparse storage)
-  for (const [key, value] of Object.entries(updates)) {
-    if (['customName', 'project', 'pinned', 'archived'].includes(key)) {
-      if (value === null || value === undefined || value === '' || value === false) {
-        delete meta.sessions[id][key];
-      } else {
-        meta.sessions[id][key] = value;
+  let targets;
+  if (Array.isArray(sessions)) {
+    targets = sessions.map(id => findSession(String(id)) || { id: String(id), missing: true });
+  } else if (typeof project === 'string' && project) {
+    targets = loadSessionIndex().filter(s => s.group === project);
+  } else {
+    return res.status(400).json({ error: 'Give a list of sessions or a project' });
+  }
+
+  const results = await Promise.all(targets.map(async (target) => {
+    const id = target.id;
+    if (target.missing) return { id, result: 'not-found' };
+    if (isExternalSession(id)) return { id, result: 'external' };
+    try {
+      await ensureSessionAttached(id, target.workingDir);
+      if (!ptyProcesses.has(id)) {
+        // Still starting: nothing to interrupt yet, and the text waits for Claude to be ready
+        if (!text) return { id, result: 'starting' };
+        enqueuePrompt(id, text);
+        return { id, result: 'queued' };
+      }
+
+      sendKeys(id, keys);
+      if (text) {
+        setTimeout(() => sendPrompt(id, text), keys.length * KEY_GAP_MS);
       }
+      return { id, result: 'sent' };
+    } catch (err) {
+      console.error(`Failed to broadcast to ${id}:`, err.message);
+      return { id, result: 'error', error: err.message };
     }
+  }));
+
+  res.json({ results });
+});
+
+// Resolves to the session's status once it has settled on something other
+// than 'running', or null if that takes longer than timeoutMs or `cancelled()`
+function waitForSettled(id, timeoutMs, cancelled) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve) => {
+    const check = () => {
+      const session = activeSessions.get(id);
+      if (!session || cancelled()) return resolve(null);
+      const quiet = Date.now() - (lastInputTime.get(id) || 0) >= QUEUE_SETTLE_MS;
+      if (quiet && session.status !== 'running') return resolve(session.status);
+      if (Date.now() >= deadline) return resolve(null);
+      setTimeout(check, INPUT_WAIT_POLL_MS);
+    };
+    check();
+  });
+}
+
+// POST /sessions/:id/input — Type into a session. Body: { text?, keys?: ['enter', 'ctrl-c', ...],
+// wait?: true to respond once Claude is idle or waiting, timeout?: seconds to wait }
+// Text is typed first, then the keys in order.
+app.post('/sessions/:id/input', async (req, res) => {
+  const id = req.params.id;
+  const { text, wait, timeout } = req.body || {};
+  if (text !== undefined && typeof text !== 'string') {
+    return res.status(400).json({ error: 'text must be a string' });
+  }
+  const parsed = parseKeys((req.body || {}).keys);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { keys } = parsed;
+  if (!text && keys.length === 0) {
+    return res.status(400).json({ error: 'Nothing to send: give text or keys' });
   }
 
-  // Clean up empty session entries
-  if (Object.keys(meta.sessions[id]).length === 0) {
-    delete meta.sessions[id];
+  const session = findSession(id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  if (isExternalSession(id)) {
+    return res.status(409).json({ error: 'Session is running outside aiMessage' });
+  }
+  try {
+    await ensureSessionAttached(id, session.workingDir);
+  } catch (err) {
+    console.error(`Failed to attach session ${id}:`, err.message);
+    return res.status(500).json({ error: 'Failed to attach session' });
+  }
+  const proc = ptyProcesses.get(id);
+  if (!proc) {
+    return res.status(409).json({ error: 'Session is starting; try again in a few seconds' });
   }
 
-  saveMeta(meta);
-  invalidateSessionCache();
+  if (text) proc.write(text);
+  // Keys after a short gap, so Enter isn't read as the tail of a paste
+  setTimeout(() => sendKeys(id, keys), text ? PROMPT_SUBMIT_DELAY_MS : 0);
+  markInput(id);
+
+  if (!wait) return res.json({ ok: true });
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const timeoutMs = Math.min(Number(timeout) * 1000 || INPUT_WAIT_DEFAULT_MS, INPUT_WAIT_MAX_MS);
+  const status = await waitForSettled(id, timeoutMs, () => closed);
+  if (closed) return;
+  const current = activeSessions.get(id);
+  res.json({
+    ok: true,
+    status: status || (current ? current.status : null),
+    timedOut: status === null,
+    screen: ((await tmux.capturePane(tmuxName(id))) || '').replace(/\s+$/, ''),
+  });
+});
+
+// GET /sessions/:id/screen — The session's current screen as plain text
+app.get('/sessions/:id/screen', async (req, res) => {
+  const screen = await tmux.capturePane(tmuxName(req.params.id));
+  if (screen === null) {
+    return res.status(404).json({ error: 'Session is not running' });
+  }
+  const session = activeSessions.get(req.params.id);
+  if (session) res.set('X-Session-Status', session.status);
+  res.type('text/plain').send(screen.replace(/\s+$/, '') + '\n');
+});
+
+// GET /sessions/:id/queue — Prompts waiting to be sent
+app.get('/sessions/:id/queue', (req, res) => {
+  if (!findSession(req.params.id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  res.json({ queue: promptQueues.get(req.params.id) || [] });
+});
+
+// POST /sessions/:id/queue — Queue a prompt. Body: { text }
+app.post('/sessions/:id/queue', (req, res) => {
+  const id = req.params.id;
+  if (!findSession(id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  const { text } = req.body || {};
+  if (typeof text !== 'string' || !text.trim()) {
+    return res.status(400).json({ error: 'text is required' });
+  }
+
+  const item = enqueuePrompt(id, text);
+  deliverQueuedPrompt(id); // Already idle: send right away
+  res.status(201).json(item);
+});
+
+// PATCH /sessions/:id/queue — Reorder. Body: { order: [itemId, ...] } listing every queued item
+app.patch('/sessions/:id/queue', (req, res) => {
+  const id = req.params.id;
+  const queue = promptQueues.get(id) || [];
+  const { order } = req.body || {};
+  const byId = new Map(queue.map(item => [item.id, item]));
+  if (!Array.isArray(order) || order.length !== queue.length || new Set(order).size !== order.length
+      || !order.every(itemId => byId.has(itemId))) {
+    return res.status(400).json({ error: 'order must list every queued item id exactly once' });
+  }
+
+  promptQueues.set(id, order.map(itemId => byId.get(itemId)));
+  saveQueue(id);
+  res.json({ queue: promptQueues.get(id) || [] });
+});
+
+// DELETE /sessions/:id/queue/:itemId — Cancel a queued prompt
+app.delete('/sessions/:id/queue/:itemId', (req, res) => {
+  const id = req.params.id;
+  const queue = promptQueues.get(id) || [];
+  const index = queue.findIndex(item => item.id === req.params.itemId);
+  if (index === -1) {
+    return res.status(404).json({ error: 'Queued prompt not found' });
+  }
+
+  queue.splice(index, 1);
+  saveQueue(id);
   res.json({ ok: true });
 });
 
+// GET /search?q= — Full-text search across all session transcripts
+app.get('/search', (req, res) => {
+  const q = (req.query.q || '').toString().trim();
+  if (!q) return res.json([]);
+  const includeArchived = req.query.archived === 'true';
+  res.json(searchTranscripts(q, includeArchived));
+});
+
 // GET /projects — List all projects
 app.get('/projects', (req, res) => {
   const meta = loadMeta();
@@ -752,79 +3674,300 @@ app.get('/projects', (req, res) => {
 
 // POST /projects — Create a new project
 app.post('/projects', (req, res) => {
-  const { name, color, defaultDir, icon } = req.body;
+  const { name, color, defaultDir, icon, launch } = req.body;
   if (!name) return res.status(400).json({ error: 'Name required' });
 
-  const meta = loadMeta();
-  meta.projects[name] = {
-    color: color || PROJECT_COLORS[Object.keys(meta.projects).length % PROJECT_COLORS.length],
-    defaultDir: defaultDir || process.env.HOME,
-    icon: icon || name[0].toUpperCase(),
-  };
-  saveMeta(meta);
+  const parsed = launch === undefined ? { profile: null } : parseLaunchProfile(launch);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const meta = updateMeta((meta) => {
+    meta.projects[name] = {
+      color: color || PROJECT_COLORS[Object.keys(meta.projects).length % PROJECT_COLORS.length],
+      defaultDir: defaultDir || process.env.HOME,
+      icon: icon || name[0].toUpperCase(),
+    };
+    if (parsed.profile) meta.projects[name].launch = parsed.profile;
+  });
   invalidateSessionCache();
+  emitEvent('projects-changed', {});
   res.json(meta.projects[name]);
 });
 
 // PATCH /projects/:name — Update project (rename, recolor, etc.)
 app.patch('/projects/:name', (req, res) => {
-  const meta = loadMeta();
   const oldName = req.params.name;
-  if (!meta.projects[oldName]) {
+  const { name: newName, color, defaultDir, icon, muted, launch } = req.body;
+
+  // launch replaces the whole profile; null or {} clears it
+  const parsed = launch === undefined ? null : parseLaunchProfile(launch);
+  if (parsed && parsed.error) return res.status(400).json({ error: parsed.error });
+
+  let target = null;
+  updateMeta((meta) => {
+    if (!meta.projects[oldName]) return false;
+
+    if (newName && newName !== oldName) {
+      // Rename: move project and update all session references
+      meta.projects[newName] = { ...meta.projects[oldName] };
+      delete meta.projects[oldName];
+      for (const session of Object.values(meta.sessions)) {
+        if (session.project === oldName) {
+          session.project = newName;
+        }
+      }
+      const snippets = loadSnippets();
+      if (snippets.some(snippet => snippet.project === oldName)) {
+        snippets.forEach((snippet) => {
+          if (snippet.project === oldName) snippet.project = newName;
+        });
+        saveSnippets(snippets);
+      }
+    }
+
+    target = meta.projects[newName || oldName];
+    if (color) target.color = color;
+    if (defaultDir) target.defaultDir = defaultDir;
+    if (icon) target.icon = icon;
+    if (muted === true) target.muted = true;
+    if (muted === false) delete target.muted;
+    if (parsed && parsed.profile) target.launch = parsed.profile;
+    if (parsed && !parsed.profile) delete target.launch;
+  });
+  if (!target) {
     return res.status(404).json({ error: 'Project not found' });
   }
 
-  const { name: newName, color, defaultDir, icon } = req.body;
+  invalidateSessionCache();
+  emitEvent('projects-changed', {});
+  res.json(target);
+});
 
-  if (newName && newName !== oldName) {
-    // Rename: move project and update all session references
-    meta.projects[newName] = { ...meta.projects[oldName] };
-    delete meta.projects[oldName];
-    for (const session of Object.values(meta.sessions)) {
-      if (session.project === oldName) {
-        session.project = newName;
-      }
-    }
+// POST /projects/:name/hooks — Install aiMessage hooks into the project's defaultDir
+app.post('/projects/:name/hooks', (req, res) => {
+  const meta = loadMeta();
+  const project = meta.projects[req.params.name];
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
   }
 
-  const target = meta.projects[newName || oldName];
-  if (color) target.color = color;
-  if (defaultDir) target.defaultDir = defaultDir;
-  if (icon) target.icon = icon;
+  try {
+    const settingsPath = installHooks(project.defaultDir || process.env.HOME);
+    res.json({ ok: true, settingsPath });
+  } catch (err) {
+    console.error(`Failed to install hooks for ${req.params.name}:`, err.message);
+    res.status(500).json({ error: `Failed to install hooks: ${err.message}` });
+  }
+});
 
-  saveMeta(meta);
-  invalidateSessionCache();
-  res.json(target);
+// DELETE /projects/:name/hooks — Remove aiMessage hooks from the project's defaultDir
+app.delete('/projects/:name/hooks', (req, res) => {
+  const meta = loadMeta();
+  const project = meta.projects[req.params.name];
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  try {
+    const removed = uninstallHooks(project.defaultDir || process.env.HOME);
+    res.json({ ok: true, removed });
+  } catch (err) {
+    console.error(`Failed to remove hooks for ${req.params.name}:`, err.message);
+    res.status(500).json({ error: `Failed to remove hooks: ${err.message}` });
+  }
 });
 
 // DELETE /projects/:name — Delete project (ungroups its sessions)
 app.delete('/projects/:name', (req, res) => {
-  const meta = loadMeta();
   const name = req.params.name;
-  if (!meta.projects[name]) {
+  let found = false;
+  updateMeta((meta) => {
+    found = !!meta.projects[name];
+    if (!found) return false;
+
+    delete meta.projects[name];
+
+    // Remove project references from sessions
+    for (const session of Object.values(meta.sessions)) {
+      if (session.project === name) {
+        delete session.project;
+      }
+    }
+  });
+  if (!found) {
     return res.status(404).json({ error: 'Project not found' });
   }
 
-  delete meta.projects[name];
+  // The project's snippets become global rather than disappearing
+  const snippets = loadSnippets();
+  if (snippets.some(snippet => snippet.project === name)) {
+    snippets.forEach((snippet) => {
+      if (snippet.project === name) snippet.project = null;
+    });
+    saveSnippets(snippets);
+  }
+
+  invalidateSessionCache();
+  emitEvent('projects-changed', {});
+  res.json({ ok: true });
+});
+
+// GET /tags — All tags: { name: { color } }
+app.get('/tags', (req, res) => {
+  res.json(loadMeta().tags || {});
+});
+
+// POST /tags — Create a tag. Body: { name, color? }
+app.post('/tags', (req, res) => {
+  const body = req.body || {};
+  const parsed = parseTagName(body.name);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { color, error: colorError } = parseTagColor(body.color);
+  if (colorError) return res.status(400).json({ error: colorError });
+
+  let tag = null;
+  updateMeta((meta) => {
+    if (meta.tags && meta.tags[parsed.name]) return false;
+    tag = { color: color || nextTagColor(meta) };
+    meta.tags = { ...meta.tags, [parsed.name]: tag };
+  });
+  if (!tag) return res.status(409).json({ error: 'Tag already exists' });
+
+  emitEvent('tags-changed', {});
+  res.status(201).json(tag);
+});
 
-  // Remove project references from sessions
-  for (const session of Object.values(meta.sessions)) {
-    if (session.project === name) {
-      delete session.project;
+// PATCH /tags/:name — Rename or recolor a tag. Body: { name?, color? }
+app.patch('/tags/:name', (req, res) => {
+  const oldName = req.params.name;
+  const body = req.body || {};
+  const parsed = body.name === undefined ? { name: oldName } : parseTagName(body.name);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const newName = parsed.name;
+  const { color, error: colorError } = parseTagColor(body.color);
+  if (colorError) return res.status(400).json({ error: colorError });
+
+  let error = null;
+  let tag = null;
+  updateMeta((meta) => {
+    const tags = meta.tags || {};
+    if (!tags[oldName]) {
+      error = { status: 404, message: 'Tag not found' };
+      return false;
     }
-  }
+    if (newName !== oldName && tags[newName]) {
+      error = { status: 409, message: 'Tag already exists' };
+      return false;
+    }
+
+    tag = { ...tags[oldName] };
+    if (color) tag.color = color;
+    if (newName !== oldName) {
+      delete tags[oldName];
+      for (const session of Object.values(meta.sessions)) {
+        if (session.tags) session.tags = session.tags.map(t => (t === oldName ? newName : t));
+      }
+    }
+    tags[newName] = tag;
+    meta.tags = tags;
+  });
+  if (error) return res.status(error.status).json({ error: error.message });
 
-  saveMeta(meta);
   invalidateSessionCache();
+  emitEvent('tags-changed', {});
+  res.json(tag);
+});
+
+// DELETE /tags/:name — Delete a tag and take it off every session
+app.delete('/tags/:name', (req, res) => {
+  const name = req.params.name;
+  let found = false;
+  updateMeta((meta) => {
+    found = !!(meta.tags && meta.tags[name]);
+    if (!found) return false;
+
+    delete meta.tags[name];
+    if (Object.keys(meta.tags).length === 0) delete meta.tags;
+    for (const [id, session] of Object.entries(meta.sessions)) {
+      if (!session.tags || !session.tags.includes(name)) continue;
+      session.tags = session.tags.filter(t => t !== name);
+      if (session.tags.length === 0) delete session.tags;
+      if (Object.keys(session).length === 0) delete meta.sessions[id];
+    }
+  });
+  if (!found) return res.status(404).json({ error: 'Tag not found' });
+
+  invalidateSessionCache();
+  emitEvent('tags-changed', {});
   res.json({ ok: true });
 });
 
-// SPA catch-all: serve index.html for client-side routes
-app.get('/session/:id', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// GET /snippets — List snippets. Query: project (global ones plus that project's)
+app.get('/snippets', (req, res) => {
+  const project = req.query.project ? String(req.query.project) : null;
+  const snippets = loadSnippets();
+  res.json(project ? snippets.filter(s => !s.project || s.project === project) : snippets);
 });
-app.get('/project/:name', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'index.html'));
+
+// POST /snippets — Create a snippet. Body: { name, text, project? }
+app.post('/snippets', (req, res) => {
+  const { name, text, project } = req.body || {};
+  if (typeof name !== 'string' || !name.trim()) return res.status(400).json({ error: 'Name required' });
+  if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'Text required' });
+  if (project && !loadMeta().projects[project]) return res.status(400).json({ error: 'Unknown project' });
+
+  const now = new Date().toISOString();
+  const snippet = { id: crypto.randomUUID(), name: name.trim(), text, project: project || null, createdAt: now, updatedAt: now };
+  const snippets = loadSnippets();
+  snippets.push(snippet);
+  saveSnippets(snippets);
+  emitEvent('snippets-changed', {});
+  res.status(201).json(snippet);
+});
+
+// PATCH /snippets/:id — Update name, text or project (null makes it global)
+app.patch('/snippets/:id', (req, res) => {
+  const snippets = loadSnippets();
+  const snippet = snippets.find(s => s.id === req.params.id);
+  if (!snippet) return res.status(404).json({ error: 'Snippet not found' });
+
+  const { name, text, project } = req.body || {};
+  if (name !== undefined && (typeof name !== 'string' || !name.trim())) return res.status(400).json({ error: 'Name required' });
+  if (text !== undefined && (typeof text !== 'string' || !text.trim())) return res.status(400).json({ error: 'Text required' });
+  if (project && !loadMeta().projects[project]) return res.status(400).json({ error: 'Unknown project' });
+
+  if (name !== undefined) snippet.name = name.trim();
+  if (text !== undefined) snippet.text = text;
+  if (project !== undefined) snippet.project = project || null;
+  snippet.updatedAt = new Date().toISOString();
+  saveSnippets(snippets);
+  emitEvent('snippets-changed', {});
+  res.json(snippet);
+});
+
+// DELETE /snippets/:id
+app.delete('/snippets/:id', (req, res) => {
+  const snippets = loadSnippets();
+  const remaining = snippets.filter(s => s.id !== req.params.id);
+  if (remaining.length === snippets.length) return res.status(404).json({ error: 'Snippet not found' });
+  saveSnippets(remaining);
+  emitEvent('snippets-changed', {});
+  res.json({ ok: true });
+});
+
+// POST /snippets/:id/render — Snippet text with {{variables}} filled in
+// Body: { sessionId } for an existing session, or { workingDir, project, sessionName }
+app.post('/snippets/:id/render', async (req, res) => {
+  const snippet = loadSnippets().find(s => s.id === req.params.id);
+  if (!snippet) return res.status(404).json({ error: 'Snippet not found' });
+
+  let context = req.body || {};
+  if (context.sessionId) {
+    const session = findSession(String(context.sessionId));
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    context = { workingDir: session.workingDir, project: session.group, sessionName: session.name };
+  }
+  const variables = await snippetVariables(context);
+  res.json({ text: renderSnippet(snippet.text, variables) });
 });
 
 // ── HTTP + WebSocket server ──────────────────────────────────────────────────
@@ -842,6 +3985,12 @@ server.on('upgrade', (request, socket, head) => {
     return;
   }
 
+  if (!isAuthenticated(request) || !isSameOrigin(request)) {
+    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+    socket.destroy();
+    return;
+  }
+
   const sessionId = match[1];
 
   // Session must exist in index or active sessions
@@ -871,59 +4020,14 @@ wss.on('connection', (ws, request, sessionId) => {
   console.log(`WebSocket connected to session ${sessionId} (${clients.size} clients)`);
 
   // If no active pty for this session, try to attach
-  if (!ptyProcesses.has(sessionId)) {
-    if (tmuxSessionExists(sessionId)) {
-      // Reattach to existing tmux session
-      const list = loadSessionIndex();
-      const entry = list.find(s => s.id === sessionId);
-      const workingDir = entry ? entry.workingDir : process.env.HOME;
-      reattachSession(sessionId, workingDir);
-    } else {
-      // Spawn a new claude --resume session
-      const list = loadSessionIndex();
-      const entry = list.find(s => s.id === sessionId);
-      const cwd = entry ? (entry.workingDir || process.env.HOME) : process.env.HOME;
-      const name = tmuxName(sessionId);
-      const cols = 200;
-      const rows = 50;
-
-      if (!activeSessions.has(sessionId)) {
-        activeSessions.set(sessionId, {
-          id: sessionId,
-          status: 'running',
-          lastActivity: new Date().toISOString(),
-          preview: null,
-          workingDir: cwd,
-        });
-      }
-      if (!scrollbackBuffers.has(sessionId)) {
-        scrollbackBuffers.set(sessionId, Buffer.alloc(0));
-      }
+  if (!ptyProcesses.has(sessionId) && !attaching.has(sessionId)) {
+    const list = loadSessionIndex();
+    const entry = list.find(s => s.id === sessionId);
+    const workingDir = entry ? (entry.workingDir || process.env.HOME) : process.env.HOME;
 
-      const spawnProc = pty.spawn(
-        'tmux',
-        [
-          'new-session', '-d', '-s', name, '-x', String(cols), '-y', String(rows),
-          'claude', '--resume', sessionId, '--dangerously-skip-permissions',
-        ],
-        { name: 'xterm-256color', cols, rows, cwd, env: process.env }
-      );
-
-      spawnProc.onExit(() => {
-        try { execSync(`tmux set-option -t "${name}" status off 2>/dev/null`); } catch (_) {}
-        setTimeout(() => {
-          const attachProc = pty.spawn('tmux', ['attach-session', '-t', name], {
-            name: 'xterm-256color',
-            cols,
-            rows,
-            cwd,
-            env: process.env,
-          });
-          ptyProcesses.set(sessionId, attachProc);
-          setupPtyListeners(sessionId, attachProc);
-        }, 300);
-      });
-    }
+    ensureSessionAttached(sessionId, workingDir).catch((err) => {
+      console.error(`Failed to attach session ${sessionId}:`, err.message);
+    });
   }
 
   // Send scrollback buffer for reconnection
@@ -945,11 +4049,8 @@ wss.on('connection', (ws, request, sessionId) => {
           if (proc) {
             proc.resize(cmd.cols, cmd.rows);
           }
-          try {
-            execSync(`tmux resize-window -t ${tmuxName(sessionId)} -x ${cmd.cols} -y ${cmd.rows} 2>/dev/null`);
-          } catch {
-            // tmux resize may fail if session doesn't exist, that's ok
-          }
+          tmux.resizeWindow(tmuxName(sessionId), cmd.cols, cmd.rows);
+          recordResize(sessionId, cmd.cols, cmd.rows);
           return;
         }
       } catch {
@@ -961,13 +4062,7 @@ wss.on('connection', (ws, request, sessionId) => {
     const proc = ptyProcesses.get(sessionId);
     if (proc) {
       proc.write(message);
-
-      const session = activeSessions.get(sessionId);
-      if (session) {
-        session.lastActivity = new Date().toISOString();
-        session.status = 'running';
-        lastInputTime.set(sessionId, Date.now());
-      }
+      if (activeSessions.has(sessionId)) markInput(sessionId);
     }
   });
 
@@ -985,19 +4080,19 @@ wss.on('connection', (ws, request, sessionId) => {
 // ── Startup ──────────────────────────────────────────────────────────────────
 
 function autoDiscoverProjects() {
-  const meta = loadMeta();
   const sessions = loadSessionIndex(true); // include archived
   const groups = new Map();
 
-  for (const session of sessions) {
-    if (session.group && !meta.projects[session.group]) {
-      if (!groups.has(session.group)) {
-        groups.set(session.group, session.workingDir);
+  updateMeta((meta) => {
+    for (const session of sessions) {
+      if (session.group && !meta.projects[session.group]) {
+        if (!groups.has(session.group)) {
+          groups.set(session.group, session.workingDir);
+        }
       }
     }
-  }
+    if (groups.size === 0) return false;
 
-  if (groups.size > 0) {
     for (const [name, dir] of groups) {
       let hash = 0;
       for (let i = 0; i < name.length; i++) {
@@ -1009,7 +4104,9 @@ function autoDiscoverProjects() {
         icon: name[0].toUpperCase(),
       };
     }
-    saveMeta(meta);
+  });
+
+  if (groups.size > 0) {
     console.log(`Auto-discovered ${groups.size} projects: ${[...groups.keys()].join(', ')}`);
   }
 }
@@ -1017,8 +4114,16 @@ function autoDiscoverProjects() {
 server.listen(PORT, HOST, () => {
   console.log(`aiMessage server listening on http://${HOST}:${PORT}`);
   console.log(`Reading sessions from: ${CLAUDE_PROJECTS_DIR}`);
+  if (authConfig.generated) {
+    console.log(`Generated login passphrase: ${authConfig.passphrase}`);
+    console.log(`(stored in ${AUTH_FILE}; set AIMESSAGE_PASSPHRASE to override)`);
+  }
   const sessions = loadSessionIndex();
   console.log(`Sessions found: ${sessions.length}`);
+  scanForSearchChanges();
+  watchForSearchChanges();
+  tmux.start();
+  restoreScrollbackLogs();
   // autoDiscoverProjects(); // Disabled: projects are created explicitly by user
 });
 
@@ -1034,6 +4139,16 @@ function shutdown() {
     }
   }
 
+  // End event streams so server.close() isn't held open
+  for (const res of sseClients) {
+    res.end();
+  }
+
+  // Detach the tmux control client and write out pending scrollback/recordings
+  tmux.stop();
+  flushScrollbackLogs();
+  flushRecordings();
+
   // Close pty attachments (but NOT tmux sessions — they persist)
   for (const [, proc] of ptyProcesses) {
     try {
@@ -0,0 +1,136 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MetaStore, META_VERSION } = require('../meta');
+
+let dir;
+let file;
+let backupDir;
+
+function store() {
+  return new MetaStore(file, backupDir);
+}
+
+function writeBackup(name, data) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  fs.writeFileSync(path.join(backupDir, name), typeof data === 'string' ? data : JSON.stringify(data));
+}
+
+function readFile() {
+  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aimessage-meta-'));
+  file = path.join(dir, 'meta.json');
+  backupDir = path.join(dir, 'backups');
+  // Recovery and migration log on purpose; keep the test output clean
+  mock.method(console, 'error', () => {});
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a missing file loads as empty metadata at the current version', () => {
+  assert.deepEqual(store().load(), { version: META_VERSION, projects: {}, sessions: {} });
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('version 1 files are backed up and migrated on load', () => {
+  fs.writeFileSync(file, JSON.stringify({ sessions: { a: { customName: 'A' }, b: {} } }));
+
+  const meta = store().load();
+  assert.equal(meta.version, 2);
+  assert.deepEqual(meta.projects, {});
+  assert.deepEqual(meta.sessions, { a: { customName: 'A' } });
+
+  assert.deepEqual(readFile(), meta);
+  const backups = fs.readdirSync(backupDir);
+  assert.equal(backups.length, 1);
+  assert.equal(JSON.parse(fs.readFileSync(path.join(backupDir, backups[0]), 'utf-8')).version, undefined);
+});
+
+test('files from a newer version are left alone', () => {
+  const newer = { version: META_VERSION + 1, projects: {}, sessions: {}, future: true };
+  fs.writeFileSync(file, JSON.stringify(newer));
+  assert.deepEqual(store().load(), newer);
+  assert.deepEqual(readFile(), newer);
+});
+
+test('a corrupt file is quarantined and the newest good backup restored', () => {
+  writeBackup('meta-2026-01-01T00-00-00-000Z.json', { version: 2, projects: { old: {} }, sessions: {} });
+  writeBackup('meta-2026-01-02T00-00-00-000Z.json', { version: 2, projects: { newer: {} }, sessions: {} });
+  writeBackup('meta-2026-01-03T00-00-00-000Z.json', '{ truncated');
+  fs.writeFileSync(file, '{"version": 2, "proj');
+
+  const meta = store().load();
+  assert.deepEqual(meta.projects, { newer: {} });
+  assert.deepEqual(readFile(), meta);
+
+  const quarantined = fs.readdirSync(dir).filter(f => f.startsWith('meta.json.corrupt-'));
+  assert.equal(quarantined.length, 1);
+  assert.equal(fs.readFileSync(path.join(dir, quarantined[0]), 'utf-8'), '{"version": 2, "proj');
+});
+
+test('a corrupt file with no usable backup starts over empty', () => {
+  fs.writeFileSync(file, '[1, 2, 3]');
+  assert.deepEqual(store().load(), { version: META_VERSION, projects: {}, sessions: {} });
+  assert.equal(fs.readdirSync(dir).filter(f => f.startsWith('meta.json.corrupt-')).length, 1);
+});
+
+test('an unreadable file is never overwritten', () => {
+  fs.mkdirSync(file); // EISDIR on read
+  const metaStore = store();
+  metaStore.update((meta) => {
+    meta.projects.p = {};
+  });
+  assert.equal(fs.statSync(file).isDirectory(), true);
+});
+
+test('update saves unless the callback returns false', () => {
+  const metaStore = store();
+  metaStore.update((meta) => {
+    meta.projects.p = { color: '#FF6B6B' };
+  });
+  assert.deepEqual(readFile().projects, { p: { color: '#FF6B6B' } });
+
+  metaStore.update((meta) => {
+    meta.projects.q = {};
+    return false;
+  });
+  assert.deepEqual(Object.keys(readFile().projects), ['p']);
+});
+
+test('update rejects async callbacks', () => {
+  assert.throws(() => store().update(async () => {}), /synchronous/);
+});
+
+test('the cached copy is reused until the next save', () => {
+  const metaStore = store();
+  const first = metaStore.cached();
+  assert.equal(metaStore.cached(), first);
+
+  metaStore.update((meta) => {
+    meta.projects.p = {};
+  });
+  const second = metaStore.cached();
+  assert.notEqual(second, first);
+  assert.deepEqual(second.projects, { p: {} });
+});
+
+test('only the newest 24 backups are kept', () => {
+  for (let i = 0; i < 30; i++) {
+    writeBackup(`meta-2026-01-01T00-00-${String(i).padStart(2, '0')}-000Z.json`, {});
+  }
+  fs.writeFileSync(file, JSON.stringify({ version: 2, projects: {}, sessions: {} }));
+  store().backup(true);
+
+  const backups = fs.readdirSync(backupDir).sort();
+  assert.equal(backups.length, 24);
+  assert.equal(backups[0], 'meta-2026-01-01T00-00-07-000Z.json');
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectScreenStatus, isChoiceMenu } = require('../screen-status');
+
+// Claude Code's input box, as tmux renders it
+const PROMPT = [
+  '╭──────────────────────────────╮',
+  '│ >                            │',
+  '╰──────────────────────────────╯',
+  '  ? for shortcuts',
+].join('\n');
+
+test('a spinner with the interrupt hint is running', () => {
+  assert.equal(detectScreenStatus('● Reading files…\n\n✻ Thinking… (esc to interrupt)\n'), 'running');
+});
+
+test('a permission dialog is awaiting approval, not a plain menu', () => {
+  const screen = [
+    'Bash command',
+    '  rm -rf build',
+    'Do you want to proceed?',
+    '❯ 1. Yes',
+    "  2. Yes, and don't ask again for rm commands",
+    '  3. No, and tell Claude what to do differently (esc)',
+  ].join('\n');
+  assert.equal(detectScreenStatus(screen), 'awaiting-approval');
+});
+
+test('a numbered-choice menu needs input and is flagged as a menu', () => {
+  const screen = 'Which database should I use?\n❯ 1. Postgres\n  2. SQLite\n\nEnter to select · Esc to cancel';
+  assert.equal(detectScreenStatus(screen), 'needs-input');
+  assert.equal(isChoiceMenu(screen), true);
+});
+
+test('a question above the prompt needs input but is not a menu', () => {
+  const screen = `● Should I also update the docs?\n\n${PROMPT}`;
+  assert.equal(detectScreenStatus(screen), 'needs-input');
+  assert.equal(isChoiceMenu(screen), false);
+});
+
+test('a finished answer above the prompt is idle', () => {
+  assert.equal(detectScreenStatus(`● All tests pass.\n\n${PROMPT}`), 'idle');
+});
+
+test('an API error above the prompt is an error', () => {
+  assert.equal(detectScreenStatus(`● API Error: 529 overloaded_error\n\n${PROMPT}`), 'error');
+});
+
+test('trailing blank lines are ignored', () => {
+  assert.equal(detectScreenStatus(`● Done.\n\n${PROMPT}\n\n\n   \n`), 'idle');
+});
+
+test('only the bottom of the pane counts', () => {
+  const stale = '✻ Working… (esc to interrupt)\n' + 'output\n'.repeat(60);
+  assert.equal(detectScreenStatus(`${stale}● Done.\n${PROMPT}`), 'idle');
+});
+
+test('unrecognized screens return null', () => {
+  assert.equal(detectScreenStatus('$ ls\nREADME.md  server.js\n'), null);
+  assert.equal(detectScreenStatus(''), null);
+});
@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { quoteArg, unescapeOutput } = require('../tmux');
+
+test('plain words, targets and sizes go through unquoted', () => {
+  assert.equal(quoteArg('ws-3f2a'), 'ws-3f2a');
+  assert.equal(quoteArg('%12'), '%12');
+  assert.equal(quoteArg('@3'), '@3');
+  assert.equal(quoteArg(200), '200');
+  assert.equal(quoteArg('/tmp/some/dir'), '/tmp/some/dir');
+});
+
+test('$ is quoted so tmux does not expand variables', () => {
+  assert.equal(quoteArg('$HOME/a'), "'$HOME/a'");
+  assert.equal(quoteArg('price$'), "'price$'");
+});
+
+test('spaces, quotes and other specials are single-quoted', () => {
+  assert.equal(quoteArg('hello world'), "'hello world'");
+  assert.equal(quoteArg("it's"), "'it'\\''s'");
+  assert.equal(quoteArg('a;b'), "'a;b'");
+  assert.equal(quoteArg('~/x'), "'~/x'");
+  assert.equal(quoteArg('#{pane_id}'), "'#{pane_id}'");
+  assert.equal(quoteArg(''), "''");
+});
+
+test('newlines are rejected, since they would end the command', () => {
+  assert.throws(() => quoteArg('a\nb'), /newlines/);
+});
+
+test('%output octal escapes decode to raw bytes', () => {
+  assert.deepEqual(unescapeOutput('\\033[1mhi\\015\\012'), Buffer.from('\x1b[1mhi\r\n', 'latin1'));
+  assert.deepEqual(unescapeOutput('a\\134b'), Buffer.from('a\\b'));
+});
+
+test('bytes above 127 pass through unchanged', () => {
+  const utf8 = Buffer.from('❯ ok');
+  assert.deepEqual(unescapeOutput(utf8.toString('latin1')), utf8);
+});
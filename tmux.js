@@ -0,0 +1,272 @@
+const { spawn, execFile } = require('child_process');
+const { EventEmitter } = require('events');
+
+// ── tmux control-mode client ─────────────────────────────────────────────────
+//
+// Holds one persistent `tmux -C` connection and runs commands over it
+// asynchronously, so nothing on the request path blocks on a tmux fork.
+// Replies arrive as %begin/%end (or %error) blocks in the order commands were
+// sent; everything else on the stream is a notification.
+//
+// Events:
+//   'session-created'  (name)                      — any tmux session appeared
+//   'session-closed'   (name)                      — any tmux session went away
+//   'output'           ({ paneId, data })          — pane output (control session only)
+//   'window-size'      ({ session?, windowId?, cols, rows })
+//   'connected' / 'disconnected'
+
+const CONTROL_SESSION = 'aimessage-control';
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const RESIZE_DEBOUNCE_MS = 100; // Coalesce bursts of resize messages per window
+
+// Quote an argument for the tmux command parser
+function quoteArg(arg) {
+  const str = String(arg);
+  if (str.includes('\n')) throw new Error('tmux arguments cannot contain newlines');
+  if (/^[\w@%:.,/=+-]+$/.test(str)) return str; // No $: tmux expands $VAR in unquoted words
+  return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+// %output data escapes bytes < 32 and backslash as \ooo octal
+function unescapeOutput(str) {
+  return Buffer.from(str.replace(/\\(\d{3})/g, (_, oct) => String.fromCharCode(parseInt(oct, 8))), 'latin1');
+}
+
+// Stdout is read as latin1 (one char per byte); reply text is really UTF-8
+function latin1ToUtf8(str) {
+  return Buffer.from(str, 'latin1').toString('utf-8');
+}
+
+class TmuxControl extends EventEmitter {
+  constructor() {
+    super();
+    this.proc = null;
+    this.connected = false;
+    this.stopped = false;
+    this.pending = []; // [{ resolve, reject }] in send order
+    this.reply = null; // Lines of the reply block being read, or null
+    this.foreignBlock = false; // Inside a %begin block we didn't send
+    this.partial = '';
+    this.sessions = new Set();
+    this.resizeTimers = new Map();
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    this.reconnectTimer = null;
+  }
+
+  start() {
+    this.stopped = false;
+    this.connect();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    for (const timer of this.resizeTimers.values()) clearTimeout(timer);
+    this.resizeTimers.clear();
+    if (this.proc) {
+      this.proc.stdin.end(); // Detaches; the control session itself stays
+      this.proc = null;
+    }
+  }
+
+  connect() {
+    // `cat` keeps the control session's pane quiet and alive
+    const proc = spawn('tmux', ['-C', 'new-session', '-A', '-s', CONTROL_SESSION, 'cat'], {
+      stdio: ['pipe', 'pipe', 'pipe'],
+    });
+    this.proc = proc;
+
+    proc.stdout.setEncoding('latin1');
+    proc.stdout.on('data', (chunk) => this.handleData(chunk));
+    proc.stderr.on('data', (chunk) => {
+      console.error('tmux control:', chunk.toString().trim());
+    });
+
+    proc.on('spawn', () => {
+      this.connected = true;
+      this.reconnectDelay = RECONNECT_MIN_MS;
+      this.emit('connected');
+      // Seed the known set quietly so a reconnect doesn't replay every session
+      this.listSessions().then((names) => { this.sessions = new Set(names); });
+    });
+
+    proc.on('error', (err) => {
+      console.error('tmux control connection failed:', err.message);
+    });
+
+    proc.on('close', () => {
+      if (this.proc === proc) this.proc = null;
+      const wasConnected = this.connected;
+      this.connected = false;
+      this.reply = null;
+      this.foreignBlock = false;
+      this.partial = '';
+
+      const pending = this.pending;
+      this.pending = [];
+      for (const { reject } of pending) {
+        reject(new Error('tmux control connection closed'));
+      }
+
+      if (wasConnected) this.emit('disconnected');
+      if (!this.stopped) {
+        this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+      }
+    });
+  }
+
+  handleData(chunk) {
+    const lines = (this.partial + chunk).split('\n');
+    this.partial = lines.pop();
+    for (const line of lines) {
+      this.handleLine(line);
+    }
+  }
+
+  handleLine(line) {
+    if (this.reply || this.foreignBlock) {
+      const end = line.match(/^%(end|error) \d+ \d+ (\d+)$/);
+      if (!end) {
+        if (this.reply) this.reply.push(latin1ToUtf8(line));
+        return;
+      }
+      if (this.foreignBlock) {
+        this.foreignBlock = false;
+        return;
+      }
+      const lines = this.reply;
+      this.reply = null;
+      const waiter = this.pending.shift();
+      if (!waiter) return;
+      if (end[1] === 'end') {
+        waiter.resolve(lines);
+      } else {
+        waiter.reject(new Error(lines.join('\n') || 'tmux command failed'));
+      }
+      return;
+    }
+
+    const begin = line.match(/^%begin \d+ \d+ (\d+)$/);
+    if (begin) {
+      // Flag 1 marks replies to commands this client sent
+      if (begin[1] === '1') {
+        this.reply = [];
+      } else {
+        this.foreignBlock = true;
+      }
+      return;
+    }
+
+    if (line.startsWith('%output ')) {
+      const rest = line.slice(8);
+      const space = rest.indexOf(' ');
+      this.emit('output', {
+        paneId: rest.slice(0, space),
+        data: unescapeOutput(rest.slice(space + 1)),
+      });
+    } else if (line.startsWith('%layout-change ')) {
+      // %layout-change @1 b25d,200x50,0,0,0 ...
+      const parts = line.split(' ');
+      const size = (parts[2] || '').match(/,(\d+)x(\d+),/);
+      if (size) {
+        this.emit('window-size', { windowId: parts[1], cols: Number(size[1]), rows: Number(size[2]) });
+      }
+    } else if (line === '%sessions-changed') {
+      this.refreshSessions().catch(() => {});
+    }
+  }
+
+  // Run a tmux command; resolves to its output lines. Falls back to a
+  // one-shot (still async) tmux process while the control connection is down.
+  command(args) {
+    if (!this.connected || !this.proc) {
+      return new Promise((resolve, reject) => {
+        execFile('tmux', args.map(String), (err, stdout, stderr) => {
+          if (err) return reject(new Error((stderr || err.message).trim()));
+          resolve(stdout.split('\n').filter((l, i, arr) => l || i < arr.length - 1));
+        });
+      });
+    }
+
+    let line;
+    try {
+      line = args.map(quoteArg).join(' ');
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.proc.stdin.write(line + '\n');
+    });
+  }
+
+  async hasSession(name) {
+    try {
+      await this.command(['has-session', '-t', `=${name}`]);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  killSession(name) {
+    return this.command(['kill-session', '-t', `=${name}`]);
+  }
+
+  setOption(name, option, value) {
+    return this.command(['set-option', '-t', `=${name}:`, option, value]);
+  }
+
+  // Plain text of the visible pane, or null if the session is gone
+  async capturePane(name) {
+    try {
+      const lines = await this.command(['capture-pane', '-p', '-t', `=${name}:`]);
+      return lines.join('\n');
+    } catch {
+      return null;
+    }
+  }
+
+  // Debounced per session: only the latest size in a burst is applied
+  resizeWindow(name, cols, rows) {
+    clearTimeout(this.resizeTimers.get(name));
+    this.resizeTimers.set(name, setTimeout(async () => {
+      this.resizeTimers.delete(name);
+      try {
+        await this.command(['resize-window', '-t', `=${name}:`, '-x', cols, '-y', rows]);
+        const [size] = await this.command(['display-message', '-p', '-t', `=${name}:`, '#{window_width}x#{window_height}']);
+        const match = (size || '').match(/^(\d+)x(\d+)$/);
+        if (match) {
+          this.emit('window-size', { session: name, cols: Number(match[1]), rows: Number(match[2]) });
+        }
+      } catch {
+        // Session may be gone; that's fine
+      }
+    }, RESIZE_DEBOUNCE_MS));
+  }
+
+  async listSessions() {
+    try {
+      const lines = await this.command(['list-sessions', '-F', '#{session_name}']);
+      return lines.filter(name => name && name !== CONTROL_SESSION);
+    } catch {
+      return []; // No server running
+    }
+  }
+
+  // Diff the session list to turn %sessions-changed into created/closed events
+  async refreshSessions() {
+    const names = new Set(await this.listSessions());
+    for (const name of names) {
+      if (!this.sessions.has(name)) this.emit('session-created', name);
+    }
+    for (const name of this.sessions) {
+      if (!names.has(name)) this.emit('session-closed', name);
+    }
+    this.sessions = names;
+  }
+}
+
+module.exports = { TmuxControl, CONTROL_SESSION, quoteArg, unescapeOutput };